@@ -0,0 +1,47 @@
+import zlib from 'zlib';
+import { adler32, compress, crc32, deflateRaw, encodeUtf8 } from '../compression';
+
+const samples: Record<string, string> = {
+  empty: '',
+  short: 'a',
+  repetitive: JSON.stringify(
+    Array.from({ length: 200 }, (_, index) => ({ type: 'event', eventName: 'screen_view', index }))
+  ),
+  unicode: 'Olá, 世界! 🚀 ção € '.repeat(50),
+  pseudoRandom: Array.from({ length: 5000 }, (_, index) => String.fromCharCode(33 + ((index * 7919) % 94))).join(''),
+};
+
+describe('compression', () => {
+  Object.entries(samples).forEach(([name, text]) => {
+    describe(`${name} input`, () => {
+      it('gzip output inflates with zlib', () => {
+        expect(zlib.gunzipSync(compress(text, 'gzip')).toString('utf8')).toBe(text);
+      });
+
+      it('deflate output inflates with zlib', () => {
+        expect(zlib.inflateSync(compress(text, 'deflate')).toString('utf8')).toBe(text);
+      });
+
+      it('raw deflate output inflates with zlib', () => {
+        expect(zlib.inflateRawSync(deflateRaw(encodeUtf8(text))).toString('utf8')).toBe(text);
+      });
+    });
+  });
+
+  it('encodes UTF-8 like Node', () => {
+    expect(Buffer.from(encodeUtf8(samples.unicode!))).toEqual(Buffer.from(samples.unicode!, 'utf8'));
+  });
+
+  it('computes checksums like zlib', () => {
+    const input = encodeUtf8(samples.repetitive!);
+    const gzipped = zlib.gzipSync(Buffer.from(input));
+    const deflated = zlib.deflateSync(Buffer.from(input));
+
+    expect(crc32(input)).toBe(gzipped.readUInt32LE(gzipped.length - 8));
+    expect(adler32(input)).toBe(deflated.readUInt32BE(deflated.length - 4));
+  });
+
+  it('shrinks repetitive payloads', () => {
+    expect(compress(samples.repetitive!, 'gzip').length).toBeLessThan(samples.repetitive!.length / 4);
+  });
+});
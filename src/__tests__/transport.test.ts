@@ -0,0 +1,264 @@
+import DevSkin, { MemoryStorage, MemoryTransportAdapter, MobileTransport } from '../index';
+import type { EventData, TransportDiagnosticEvent, TransportRequest } from '../index';
+
+function createEvent(eventName: string): EventData {
+  return {
+    eventName,
+    eventType: 'track',
+    timestamp: new Date().toISOString(),
+    sessionId: 'session-1',
+    anonymousId: 'anonymous-1',
+  };
+}
+
+describe('DevSkin with MemoryTransportAdapter', () => {
+  afterEach(async () => {
+    await DevSkin.destroy();
+  });
+
+  it('delivers tracked events on flush', async () => {
+    const sink = new MemoryTransportAdapter();
+    await DevSkin.init({
+      apiKey: 'test-key',
+      appId: 'test-app',
+      transportAdapter: sink,
+      storage: new MemoryStorage(),
+    });
+
+    DevSkin.track('signup', { plan: 'pro' });
+    await DevSkin.flush();
+
+    const events = sink.getItems('event');
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ eventName: 'signup', properties: { plan: 'pro' } });
+    expect(sink.requests.every((request) => request.headers['X-API-Key'] === 'test-key')).toBe(true);
+  });
+
+  it('does not report sessions without analytics consent', async () => {
+    const sink = new MemoryTransportAdapter();
+    await DevSkin.init({
+      apiKey: 'test-key',
+      appId: 'test-app',
+      transportAdapter: sink,
+      storage: new MemoryStorage(),
+      privacy: {
+        defaultConsent: {
+          analytics: false,
+          crashes: false,
+          performance: false,
+          replay: false,
+          heatmaps: false,
+          network: false,
+        },
+      },
+    });
+    await DevSkin.flush();
+    await DevSkin.destroy();
+
+    expect(sink.requests.filter((request) => request.endpoint.startsWith('/v1/rum/sessions'))).toEqual([]);
+    expect(sink.getItems('session')).toEqual([]);
+  });
+
+  it('does not report the session end after opting out', async () => {
+    const sink = new MemoryTransportAdapter();
+    await DevSkin.init({
+      apiKey: 'test-key',
+      appId: 'test-app',
+      transportAdapter: sink,
+      storage: new MemoryStorage(),
+    });
+
+    DevSkin.optOut();
+    await DevSkin.destroy();
+
+    expect(sink.requests.filter((request) => request.method === 'PUT')).toEqual([]);
+  });
+});
+
+describe('MobileTransport with MemoryTransportAdapter', () => {
+  let sink: MemoryTransportAdapter;
+  let diagnostics: TransportDiagnosticEvent[];
+  let transport: MobileTransport;
+
+  beforeEach(async () => {
+    sink = new MemoryTransportAdapter();
+    diagnostics = [];
+    transport = new MobileTransport({
+      apiKey: 'test-key',
+      appId: 'test-app',
+      transportAdapter: sink,
+      storage: new MemoryStorage(),
+      onDiagnostics: (event) => diagnostics.push(event),
+    });
+    await transport.init();
+  });
+
+  afterEach(async () => {
+    sink.respondWith({ status: 200 });
+    await transport.destroy();
+  });
+
+  it('sends queued items in one batch envelope', async () => {
+    transport.sendEvent(createEvent('first'));
+    transport.sendEvent(createEvent('second'));
+    await transport.flush();
+
+    expect(sink.requests).toHaveLength(1);
+    expect(sink.requests[0]!.endpoint).toBe('/v1/sdk/batch');
+    expect(sink.getItems('event').map((event) => event.eventName)).toEqual(['first', 'second']);
+  });
+
+  it('retries items after a server error', async () => {
+    sink.respondWith({ status: 503, headers: { 'retry-after': '0' } });
+    transport.sendEvent(createEvent('checkout'));
+    await transport.flush();
+
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        type: 'retry',
+        itemType: 'event',
+        endpoint: '/v1/sdk/batch',
+        status: 503,
+        retryInMs: 0,
+      }),
+    ]);
+
+    sink.clear();
+    sink.respondWith({ status: 200 });
+    await transport.flush();
+
+    expect(sink.getItems('event').map((event) => event.eventName)).toEqual(['checkout']);
+    expect(transport.getDiagnostics()).toMatchObject({ retried: 1, dropped: 0 });
+  });
+
+  it('drops items the backend rejects', async () => {
+    sink.respondWith({ status: 400 });
+    transport.sendEvent(createEvent('invalid'));
+    await transport.flush();
+
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ type: 'drop', reason: 'rejected', endpoint: '/v1/sdk/batch', status: 400 }),
+    ]);
+
+    sink.clear();
+    sink.respondWith({ status: 200 });
+    await transport.flush();
+
+    expect(sink.requests).toHaveLength(0);
+  });
+
+  it('drops items once they run out of retries', async () => {
+    sink.respondWith({ status: 500, headers: { 'retry-after': '0' } });
+    transport.sendEvent(createEvent('flaky'));
+
+    // The first attempt plus three retries
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await transport.flush();
+    }
+
+    expect(sink.requests).toHaveLength(4);
+    expect(diagnostics[diagnostics.length - 1]).toMatchObject({ type: 'drop', reason: 'max_retries' });
+    expect(transport.getDiagnostics()).toMatchObject({ retried: 3, dropped: 1 });
+  });
+
+  it('falls back to per-type endpoints when the batch endpoint is missing', async () => {
+    sink.respondWith((request: TransportRequest) => ({ status: request.endpoint === '/v1/sdk/batch' ? 404 : 200 }));
+    transport.sendEvent(createEvent('first'));
+    transport.sendEvent(createEvent('second'));
+    await transport.flush();
+
+    expect(sink.requests.map((request) => request.endpoint)).toEqual(['/v1/sdk/batch', '/v1/rum/events/batch']);
+    expect(sink.requests[1]!.payload.events.map((event: EventData) => event.eventName)).toEqual(['first', 'second']);
+    expect(diagnostics).toEqual([]);
+  });
+
+  it('splits envelopes the backend finds too large', async () => {
+    sink.respondWith((request: TransportRequest) => ({ status: request.payload.items.length > 1 ? 413 : 200 }));
+    ['a', 'b', 'c'].forEach((eventName) => transport.sendEvent(createEvent(eventName)));
+    await transport.flush();
+
+    const delivered = sink.requests.filter((request) => request.payload.items.length === 1);
+    expect(delivered.map((request) => request.payload.items[0].data.eventName)).toEqual(['a', 'b', 'c']);
+    expect(diagnostics).toEqual([]);
+  });
+
+  it('runs identity and session payloads through beforeSend', async () => {
+    const hooked = new MobileTransport({
+      apiKey: 'test-key',
+      appId: 'test-app',
+      transportAdapter: sink,
+      storage: new MemoryStorage(),
+      beforeSend: (item, hint) => (hint.type === 'user' ? null : { ...item, redacted: true }),
+    });
+    await hooked.init();
+
+    await hooked.identifyUser({
+      userId: 'user-1',
+      traits: { email: 'someone@example.com' },
+      timestamp: new Date().toISOString(),
+    });
+    await hooked.updateSession('session-1', { status: 'active' });
+    await hooked.destroy();
+
+    expect(sink.requests.map((request) => request.endpoint)).toEqual(['/v1/rum/sessions/session-1']);
+    expect(sink.requests[0]!.payload).toMatchObject({ status: 'active', redacted: true });
+  });
+
+  it('persists a session update that fails during teardown', async () => {
+    const storage = new MemoryStorage();
+    const config = { apiKey: 'test-key', appId: 'teardown-app', transportAdapter: sink, storage };
+    const first = new MobileTransport(config);
+    await first.init();
+
+    // Fails only after teardown has started
+    sink.respondWith(() => new Promise((resolve) => setTimeout(() => resolve({ status: 503 }), 50)));
+    first.updateSession('session-1', { status: 'ended' });
+    await first.destroy();
+
+    sink.clear();
+    sink.respondWith({ status: 200 });
+    const second = new MobileTransport(config);
+    await second.init();
+    await second.flush();
+    await second.destroy();
+
+    expect(sink.getItems('session')).toEqual([expect.objectContaining({ status: 'ended' })]);
+  });
+
+  it('hands the queue over without waiting for a request that never answers', async () => {
+    const storage = new MemoryStorage();
+    const config = { apiKey: 'test-key', appId: 'stalled-app', transportAdapter: sink, storage };
+    const first = new MobileTransport(config);
+    await first.init();
+
+    sink.respondWith(() => new Promise(() => {}));
+    first.sendEvent(createEvent('stalled'));
+    const startedAt = Date.now();
+    await first.destroy();
+    expect(Date.now() - startedAt).toBeLessThan(4000);
+
+    sink.respondWith({ status: 200 });
+    const second = new MobileTransport(config);
+    await second.init();
+    await second.flush();
+    await second.destroy();
+
+    expect(sink.getItems('event').map((event) => event.eventName)).toContain('stalled');
+  });
+
+  it('rejects only the offending item of an envelope', async () => {
+    sink.respondWith((request: TransportRequest) => ({
+      status: request.payload.items.some((item: any) => item.data.eventName === 'bad') ? 422 : 200,
+    }));
+    ['a', 'bad', 'c', 'd'].forEach((eventName) => transport.sendEvent(createEvent(eventName)));
+    await transport.flush();
+
+    const delivered = sink.requests
+      .filter((request) => !request.payload.items.some((item: any) => item.data.eventName === 'bad'))
+      .flatMap((request) => request.payload.items.map((item: any) => item.data.eventName));
+    expect(delivered.sort()).toEqual(['a', 'c', 'd']);
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ type: 'drop', reason: 'rejected', count: 1, status: 422 }),
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * DevSkin Mobile SDK Backoff
+ * Per-endpoint exponential backoff with jitter, honoring Retry-After
+ */
+
+interface BackoffState {
+  attempts: number;
+  nextAttemptAt: number;
+}
+
+export interface BackoffOptions {
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+export class EndpointBackoff {
+  private states: Map<string, BackoffState> = new Map();
+
+  constructor(private options: BackoffOptions) {}
+
+  /**
+   * Whether the endpoint is out of its backoff window
+   */
+  canSend(endpoint: string, now: number = Date.now()): boolean {
+    const state = this.states.get(endpoint);
+    return !state || now >= state.nextAttemptAt;
+  }
+
+  recordSuccess(endpoint: string): void {
+    this.states.delete(endpoint);
+  }
+
+  /**
+   * Record a failed attempt and return the delay until the next one
+   */
+  recordFailure(endpoint: string, retryAfterMs?: number): number {
+    const attempts = (this.states.get(endpoint)?.attempts || 0) + 1;
+
+    let delay: number;
+    if (retryAfterMs !== undefined) {
+      // Server told us when to come back; spread devices over an extra 10%
+      delay = retryAfterMs + Math.random() * retryAfterMs * 0.1;
+    } else {
+      // Full jitter: random delay between 0 and the exponential cap
+      const cap = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempts - 1));
+      delay = Math.random() * cap;
+    }
+
+    this.states.set(endpoint, { attempts, nextAttemptAt: Date.now() + delay });
+    return Math.round(delay);
+  }
+
+  reset(): void {
+    this.states.clear();
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value: string | null | undefined, now: number = Date.now()): number | undefined {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - now);
+  }
+
+  return undefined;
+}
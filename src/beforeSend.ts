@@ -0,0 +1,104 @@
+/**
+ * DevSkin Mobile SDK beforeSend pipeline
+ * Runs the typed hook for an item, then the generic beforeSend hook
+ */
+
+import { DevSkinMobileConfig, BeforeSendItemType } from './types';
+
+type Hook = (item: any) => any;
+
+/**
+ * Pass an item through the configured hooks.
+ * Synchronous hooks call back synchronously, so queue order is preserved;
+ * onResult receives null when a hook drops the item, throws or rejects.
+ */
+export function runBeforeSend(
+  config: DevSkinMobileConfig,
+  type: BeforeSendItemType,
+  item: any,
+  onResult: (processed: any | null) => void
+): void {
+  const hooks: Hook[] = [];
+
+  const typedHook = getTypedHook(config, type);
+  if (typedHook) {
+    hooks.push(typedHook);
+  }
+
+  const beforeSend = config.beforeSend;
+  if (beforeSend) {
+    hooks.push((current) => beforeSend(current, { type }));
+  }
+
+  const drop = (reason: string, error?: unknown) => {
+    if (config.debug) {
+      console.log(`[DevSkin Mobile] ${type} item ${reason} by beforeSend`, error ?? '');
+    }
+    onResult(null);
+  };
+
+  const step = (index: number, current: any): void => {
+    if (!current) {
+      drop('dropped');
+      return;
+    }
+    if (index >= hooks.length) {
+      onResult(current);
+      return;
+    }
+
+    let result: any;
+    try {
+      result = hooks[index]!(current);
+    } catch (error) {
+      // Never risk sending data a redaction hook failed on
+      drop('dropped after an exception', error);
+      return;
+    }
+
+    if (result && typeof result.then === 'function') {
+      result.then(
+        (resolved: any) => step(index + 1, resolved),
+        (error: unknown) => drop('dropped after a rejection', error)
+      );
+    } else {
+      step(index + 1, result);
+    }
+  };
+
+  step(0, item);
+}
+
+/**
+ * Promise form, for callers that are already async
+ */
+export function applyBeforeSend(
+  config: DevSkinMobileConfig,
+  type: BeforeSendItemType,
+  item: any
+): Promise<any | null> {
+  return new Promise((resolve) => runBeforeSend(config, type, item, resolve));
+}
+
+function getTypedHook(config: DevSkinMobileConfig, type: BeforeSendItemType): Hook | undefined {
+  switch (type) {
+    case 'event':
+      return config.beforeSendEvent;
+    case 'error':
+      return config.beforeSendError;
+    case 'network':
+      return config.beforeSendNetwork;
+    case 'heatmap':
+      return config.beforeSendHeatmap;
+    case 'recording':
+      return config.beforeSendRecording;
+    case 'screen':
+      return config.beforeSendScreen;
+    case 'user':
+      return config.beforeSendUser;
+    case 'session':
+      return config.beforeSendSession;
+    default:
+      return undefined;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * DevSkin Mobile SDK Server Clock
+ * Estimates the device clock offset from server time and corrects outgoing timestamps
+ */
+
+// HTTP Date headers only have one-second resolution; smaller offsets are noise
+const MIN_OFFSET_MS = 1000;
+const TIMESTAMP_FIELDS = ['timestamp', 'startedAt', 'endedAt', 'pausedAt', 'sentAt'];
+// Batched entries inside item data: legacy event batches, heatmap batches and recording events
+const LIST_FIELDS = ['events', 'heatmaps'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+export class ServerClock {
+  private offsetMs: number | null = null;
+  private bestRoundTripMs = Infinity;
+
+  /**
+   * Update the estimate from a server time sample taken during a request
+   *
+   * @param serverTime - epoch ms reported by the server
+   * @param requestStartedAt - device time when the request was sent
+   * @param responseReceivedAt - device time when the response arrived
+   * @param resolutionMs - precision of serverTime (1000 for HTTP Date headers)
+   */
+  update(serverTime: number, requestStartedAt: number, responseReceivedAt: number, resolutionMs: number = 0): void {
+    if (isNaN(serverTime)) return;
+
+    const roundTripMs = responseReceivedAt - requestStartedAt;
+    // Assume the server stamped the response halfway through the round trip,
+    // and in the middle of its resolution window
+    const offset = serverTime + resolutionMs / 2 - (requestStartedAt + roundTripMs / 2);
+
+    // Prefer samples with a tighter round trip, but always follow a large jump (clock changed)
+    const jumped = this.offsetMs !== null && Math.abs(offset - this.offsetMs) > Math.max(roundTripMs, 5000);
+    if (this.offsetMs === null || roundTripMs <= this.bestRoundTripMs || jumped) {
+      this.offsetMs = Math.round(offset);
+      this.bestRoundTripMs = roundTripMs;
+    }
+  }
+
+  /**
+   * Update from an HTTP Date header
+   */
+  updateFromDateHeader(date: string | undefined, requestStartedAt: number, responseReceivedAt: number): void {
+    if (!date) return;
+    this.update(Date.parse(date), requestStartedAt, responseReceivedAt, 1000);
+  }
+
+  /**
+   * Offset to add to device time, or null when unknown or negligible
+   */
+  getOffset(): number | null {
+    if (this.offsetMs === null || Math.abs(this.offsetMs) < MIN_OFFSET_MS) {
+      return null;
+    }
+    return this.offsetMs;
+  }
+
+  /**
+   * Corrected current time in epoch ms
+   */
+  now(): number {
+    return Date.now() + (this.getOffset() ?? 0);
+  }
+
+  /**
+   * Return a copy of an outgoing payload with the SDK's own timestamp fields shifted to server time:
+   * the envelope and its items, item data, and the entries of event, heatmap and recording batches.
+   * App-provided values (properties, traits, contexts...) are never touched.
+   * The original value is kept as device<Field> along with clockOffsetMs.
+   */
+  correct<T>(value: T): T {
+    const offset = this.getOffset();
+    if (offset === null || !isPlainObject(value)) return value;
+
+    const corrected = correctItemData(value, offset);
+    if (Array.isArray(corrected.items)) {
+      // Batch envelope
+      corrected.items = corrected.items.map((item: any) => {
+        if (!isPlainObject(item)) return item;
+        const correctedItem = correctFields(item, offset);
+        if (isPlainObject(item.data)) {
+          correctedItem.data = correctItemData(item.data, offset);
+        }
+        return correctedItem;
+      });
+    }
+    return corrected as T;
+  }
+}
+
+// Top-level fields of one item's data, plus the entries of the lists the SDK builds itself
+function correctItemData(data: Record<string, any>, offset: number): Record<string, any> {
+  const corrected = correctFields(data, offset);
+  LIST_FIELDS.forEach((key) => {
+    if (Array.isArray(data[key])) {
+      corrected[key] = data[key].map((entry: any) => (isPlainObject(entry) ? correctFields(entry, offset) : entry));
+    }
+  });
+  return corrected;
+}
+
+function correctFields(value: Record<string, any>, offset: number): Record<string, any> {
+  const corrected: Record<string, any> = { ...value };
+  let changed = false;
+
+  TIMESTAMP_FIELDS.forEach((key) => {
+    const shifted = shiftTimestamp(value[key], offset);
+    if (shifted !== undefined) {
+      corrected[key] = shifted;
+      corrected[`device${key.charAt(0).toUpperCase()}${key.slice(1)}`] = value[key];
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    corrected.clockOffsetMs = offset;
+  }
+
+  return corrected;
+}
+
+function isPlainObject(value: any): value is Record<string, any> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ISO 8601 strings and epoch-ms numbers (recording events) are shifted; anything else is left alone
+function shiftTimestamp(field: any, offset: number): string | number | undefined {
+  if (typeof field === 'number' && field > 1e12) {
+    return field + offset;
+  }
+  if (typeof field === 'string' && ISO_DATE.test(field)) {
+    const time = Date.parse(field);
+    if (!isNaN(time)) {
+      return new Date(time + offset).toISOString();
+    }
+  }
+  return undefined;
+}
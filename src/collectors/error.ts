@@ -5,6 +5,7 @@
 
 import { DevSkinMobileConfig, CrashData, Breadcrumb, MobileDeviceInfo, AppInfo } from '../types';
 import { MobileTransport } from '../transport';
+import { subscribe, ConsoleLevel } from '../instrumentation';
 
 export class ErrorCollector {
   private breadcrumbs: Breadcrumb[] = [];
@@ -14,6 +15,8 @@ export class ErrorCollector {
   private currentScreen: string = '';
   private deviceInfo?: MobileDeviceInfo;
   private appInfo?: AppInfo;
+  private errorListener?: (crash: CrashData) => void;
+  private unsubscribers: Array<() => void> = [];
 
   constructor(
     private config: DevSkinMobileConfig,
@@ -23,7 +26,7 @@ export class ErrorCollector {
   }
 
   start(): void {
-    if (!this.config.crashReporting?.enabled) return;
+    if (!this.config.crashReporting?.enabled || this.unsubscribers.length > 0) return;
 
     // Capture unhandled JavaScript errors
     this.setupJSErrorHandler();
@@ -39,6 +42,14 @@ export class ErrorCollector {
     }
   }
 
+  /**
+   * Stop capturing; the original global handlers come back once no instance needs them
+   */
+  stop(): void {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+  }
+
   setSessionId(sessionId: string): void {
     this.sessionId = sessionId;
   }
@@ -59,6 +70,13 @@ export class ErrorCollector {
     this.appInfo = appInfo;
   }
 
+  /**
+   * Be notified of every captured error (used for session counters)
+   */
+  setErrorListener(listener: ((crash: CrashData) => void) | undefined): void {
+    this.errorListener = listener;
+  }
+
   /**
    * Manually capture an error
    */
@@ -68,7 +86,7 @@ export class ErrorCollector {
     isFatal: boolean = false
   ): void {
     const crashData = this.buildCrashData(error, context, isFatal, 'javascript');
-    this.transport.sendError(crashData);
+    this.report(crashData);
 
     // Add breadcrumb for this error
     this.addBreadcrumb({
@@ -108,7 +126,7 @@ export class ErrorCollector {
     };
 
     // Send immediately for native crashes
-    this.transport.sendError(crashData);
+    this.report(crashData);
   }
 
   /**
@@ -131,7 +149,7 @@ export class ErrorCollector {
       mainThreadStack,
     };
 
-    this.transport.sendError(crashData);
+    this.report(crashData);
   }
 
   /**
@@ -152,7 +170,7 @@ export class ErrorCollector {
       context: { memoryInfo },
     };
 
-    this.transport.sendError(crashData);
+    this.report(crashData);
   }
 
   /**
@@ -193,74 +211,56 @@ export class ErrorCollector {
   }
 
   // Private methods
-  private setupJSErrorHandler(): void {
-    const originalHandler = ErrorUtils.getGlobalHandler();
-
-    ErrorUtils.setGlobalHandler((error: Error, isFatal?: boolean) => {
-      this.captureError(error, { source: 'globalHandler' }, isFatal ?? false);
+  private report(crashData: CrashData): void {
+    this.transport.sendError(crashData);
+    this.errorListener?.(crashData);
+  }
 
-      // Call original handler
-      if (originalHandler) {
-        originalHandler(error, isFatal);
-      }
-    });
+  private setupJSErrorHandler(): void {
+    this.unsubscribers.push(
+      subscribe('error', (error, isFatal) => {
+        this.captureError(error, { source: 'globalHandler' }, isFatal);
+      })
+    );
   }
 
   private setupPromiseRejectionHandler(): void {
-    // React Native doesn't have unhandledrejection by default
-    // We need to use a polyfill or native module
-    // This is a simplified version
-    const tracking = require('promise/setimmediate/rejection-tracking');
-
-    tracking.enable({
-      allRejections: true,
-      onUnhandled: (id: number, error: Error) => {
-        this.captureError(error, {
+    this.unsubscribers.push(
+      subscribe('rejection', (id, error) => {
+        this.captureError(error instanceof Error ? error : String(error), {
           source: 'unhandledRejection',
           promiseId: id,
         });
-      },
-      onHandled: () => {
-        // Promise was handled later, we can ignore
-      },
-    });
+      })
+    );
   }
 
   private setupAutomaticBreadcrumbs(): void {
     // Console breadcrumbs
-    this.wrapConsole();
+    this.unsubscribers.push(
+      subscribe('console', (level, args) => this.recordConsole(level, args))
+    );
   }
 
-  private wrapConsole(): void {
-    const levels: Array<'warn' | 'error'> = ['warn', 'error'];
-
-    levels.forEach((level) => {
-      const original = console[level];
-      console[level] = (...args: any[]) => {
-        // Call original
-        original.apply(console, args);
-
-        // Add breadcrumb
-        const message = args.map((arg) => {
-          if (typeof arg === 'object') {
-            try {
-              return JSON.stringify(arg);
-            } catch {
-              return String(arg);
-            }
-          }
+  private recordConsole(level: ConsoleLevel, args: any[]): void {
+    const message = args.map((arg) => {
+      if (typeof arg === 'object') {
+        try {
+          return JSON.stringify(arg);
+        } catch {
           return String(arg);
-        }).join(' ');
+        }
+      }
+      return String(arg);
+    }).join(' ');
 
-        // Skip DevSkin internal messages
-        if (message.startsWith('[DevSkin')) return;
+    // Skip DevSkin internal messages
+    if (message.startsWith('[DevSkin')) return;
 
-        this.addBreadcrumb({
-          category: 'console',
-          message: message.substring(0, 500),
-          level: level === 'warn' ? 'warning' : 'error',
-        });
-      };
+    this.addBreadcrumb({
+      category: 'console',
+      message: message.substring(0, 500),
+      level: level === 'warn' ? 'warning' : 'error',
     });
   }
 
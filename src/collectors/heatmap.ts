@@ -47,7 +47,7 @@ export class HeatmapCollector {
   ) {}
 
   start(): void {
-    if (!this.config.heatmapOptions?.enabled) return;
+    if (!this.config.heatmapOptions?.enabled || this.flushInterval) return;
 
     // Start periodic flush
     this.flushInterval = setInterval(() => {
@@ -258,10 +258,7 @@ export class HeatmapCollector {
     y: number,
     extra?: Record<string, any>
   ): void {
-    // Apply sampling
-    const sampling = this.config.heatmapOptions?.touchSampling ?? 1;
-    if (Math.random() > sampling) return;
-
+    // Sampling is decided per session by the transport
     const touchData: TouchData = {
       type,
       x,
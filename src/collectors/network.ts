@@ -5,9 +5,11 @@
 
 import { DevSkinMobileConfig, NetworkRequest } from '../types';
 import { MobileTransport } from '../transport';
+import { subscribe, FetchInfo, XHRInfo } from '../instrumentation';
 
 export class NetworkCollector {
   private sessionId: string = '';
+  private unsubscribers: Array<() => void> = [];
 
   constructor(
     private config: DevSkinMobileConfig,
@@ -15,16 +17,27 @@ export class NetworkCollector {
   ) {}
 
   start(): void {
-    if (!this.config.performance?.trackNetworkRequests) return;
+    if (!this.config.performance?.trackNetworkRequests || this.unsubscribers.length > 0) return;
 
-    this.interceptFetch();
-    this.interceptXHR();
+    // Globals are patched once and shared with other SDK instances
+    this.unsubscribers = [
+      subscribe('fetch', (info) => this.handleFetch(info)),
+      subscribe('xhr', (info) => this.handleXHR(info)),
+    ];
 
     if (this.config.debug) {
       console.log('[DevSkin Mobile] Network collector started');
     }
   }
 
+  /**
+   * Stop intercepting requests; the original fetch/XHR come back once no instance needs them
+   */
+  stop(): void {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+  }
+
   setSessionId(sessionId: string): void {
     this.sessionId = sessionId;
   }
@@ -45,167 +58,83 @@ export class NetworkCollector {
   }
 
   // Private methods
-  private interceptFetch(): void {
-    const originalFetch = global.fetch;
-    const self = this;
-
-    global.fetch = async function (
-      input: RequestInfo | URL,
-      init?: RequestInit
-    ): Promise<Response> {
-      const url = typeof input === 'string'
-        ? input
-        : input instanceof Request
-          ? input.url
-          : input.toString();
-
-      const method = init?.method || 'GET';
-      const startTime = Date.now();
-
-      try {
-        const response = await originalFetch.call(this, input, init);
-        const duration = Date.now() - startTime;
-
-        // Clone response to read size
-        const clonedResponse = response.clone();
-
-        if (!self.shouldIgnoreUrl(url)) {
-          const networkRequest: NetworkRequest = {
-            sessionId: self.sessionId,
-            url: self.sanitizeUrl(url),
-            method: method.toUpperCase(),
-            statusCode: response.status,
-            durationMs: duration,
-            responseSize: await self.getResponseSize(clonedResponse),
-            timestamp: new Date().toISOString(),
-            initiator: 'fetch',
-          };
-
-          // Capture headers if enabled
-          if (self.config.networkOptions?.captureHeaders) {
-            networkRequest.responseHeaders = self.headersToObject(response.headers);
-          }
-
-          // Capture error for failed requests
-          if (!response.ok) {
-            networkRequest.errorMessage = `HTTP ${response.status} ${response.statusText}`;
-          }
-
-          // Check if should only capture failed
-          if (!self.config.networkOptions?.captureFailedOnly || !response.ok) {
-            self.transport.sendNetworkRequest(networkRequest);
-          }
-
-          if (self.config.debug) {
-            console.log('[DevSkin Mobile] Network request:', networkRequest.url, response.status);
-          }
-        }
+  private handleFetch(info: FetchInfo): void {
+    if (this.shouldIgnoreUrl(info.url)) return;
 
-        return response;
-      } catch (error) {
-        const duration = Date.now() - startTime;
-
-        if (!self.shouldIgnoreUrl(url)) {
-          const networkRequest: NetworkRequest = {
-            sessionId: self.sessionId,
-            url: self.sanitizeUrl(url),
-            method: method.toUpperCase(),
-            durationMs: duration,
-            timestamp: new Date().toISOString(),
-            initiator: 'fetch',
-            errorMessage: error instanceof Error ? error.message : 'Network request failed',
-          };
-
-          self.transport.sendNetworkRequest(networkRequest);
-
-          if (self.config.debug) {
-            console.log('[DevSkin Mobile] Network request failed:', networkRequest.url);
-          }
-        }
+    const { response } = info;
+    const networkRequest: NetworkRequest = {
+      sessionId: this.sessionId,
+      url: this.sanitizeUrl(info.url),
+      method: info.method,
+      durationMs: info.durationMs,
+      timestamp: new Date().toISOString(),
+      initiator: 'fetch',
+    };
+
+    if (!response) {
+      networkRequest.errorMessage = info.error instanceof Error ? info.error.message : 'Network request failed';
+      this.transport.sendNetworkRequest(networkRequest);
 
-        throw error;
+      if (this.config.debug) {
+        console.log('[DevSkin Mobile] Network request failed:', networkRequest.url);
       }
-    };
+      return;
+    }
+
+    // Check if should only capture failed
+    if (this.config.networkOptions?.captureFailedOnly && response.ok) return;
+
+    networkRequest.statusCode = response.status;
+
+    // Capture headers if enabled
+    if (this.config.networkOptions?.captureHeaders) {
+      networkRequest.responseHeaders = this.headersToObject(response.headers);
+    }
+
+    // Capture error for failed requests
+    if (!response.ok) {
+      networkRequest.errorMessage = `HTTP ${response.status} ${response.statusText}`;
+    }
+
+    // Clone response to read size (before the app consumes the body)
+    const clonedResponse = response.clone();
+    this.getResponseSize(clonedResponse).then((responseSize) => {
+      networkRequest.responseSize = responseSize;
+      this.transport.sendNetworkRequest(networkRequest);
+    });
+
+    if (this.config.debug) {
+      console.log('[DevSkin Mobile] Network request:', networkRequest.url, response.status);
+    }
   }
 
-  private interceptXHR(): void {
-    const originalOpen = XMLHttpRequest.prototype.open;
-    const originalSend = XMLHttpRequest.prototype.send;
-    const self = this;
-
-    XMLHttpRequest.prototype.open = function (
-      method: string,
-      url: string | URL,
-      async?: boolean,
-      username?: string | null,
-      password?: string | null
-    ) {
-      (this as any).__devskin = {
-        method,
-        url: url.toString(),
-        startTime: 0,
-      };
-
-      return originalOpen.apply(this, [method, url, async ?? true, username, password] as any);
+  private handleXHR(info: XHRInfo): void {
+    if (this.shouldIgnoreUrl(info.url)) return;
+
+    const networkRequest: NetworkRequest = {
+      sessionId: this.sessionId,
+      url: this.sanitizeUrl(info.url),
+      method: info.method,
+      durationMs: info.durationMs,
+      timestamp: new Date().toISOString(),
+      initiator: 'xhr',
     };
 
-    XMLHttpRequest.prototype.send = function (body?: any) {
-      const xhr = this;
-      const devskin = (xhr as any).__devskin;
-
-      if (devskin) {
-        devskin.startTime = Date.now();
-
-        const handleLoad = () => {
-          const duration = Date.now() - devskin.startTime;
-
-          if (!self.shouldIgnoreUrl(devskin.url)) {
-            const networkRequest: NetworkRequest = {
-              sessionId: self.sessionId,
-              url: self.sanitizeUrl(devskin.url),
-              method: devskin.method.toUpperCase(),
-              statusCode: xhr.status,
-              durationMs: duration,
-              timestamp: new Date().toISOString(),
-              initiator: 'xhr',
-            };
-
-            if (xhr.status === 0 || xhr.status >= 400) {
-              networkRequest.errorMessage = `HTTP ${xhr.status} ${xhr.statusText}`;
-            }
-
-            if (!self.config.networkOptions?.captureFailedOnly || xhr.status >= 400) {
-              self.transport.sendNetworkRequest(networkRequest);
-            }
-          }
-        };
-
-        const handleError = () => {
-          const duration = Date.now() - devskin.startTime;
-
-          if (!self.shouldIgnoreUrl(devskin.url)) {
-            const networkRequest: NetworkRequest = {
-              sessionId: self.sessionId,
-              url: self.sanitizeUrl(devskin.url),
-              method: devskin.method.toUpperCase(),
-              durationMs: duration,
-              timestamp: new Date().toISOString(),
-              initiator: 'xhr',
-              errorMessage: 'XHR request failed',
-            };
-
-            self.transport.sendNetworkRequest(networkRequest);
-          }
-        };
-
-        xhr.addEventListener('load', handleLoad);
-        xhr.addEventListener('error', handleError);
-        xhr.addEventListener('abort', handleError);
-        xhr.addEventListener('timeout', handleError);
-      }
+    if (info.failed) {
+      networkRequest.errorMessage = 'XHR request failed';
+      this.transport.sendNetworkRequest(networkRequest);
+      return;
+    }
 
-      return originalSend.call(this, body);
-    };
+    networkRequest.statusCode = info.status;
+
+    if (info.status === 0 || info.status >= 400) {
+      networkRequest.errorMessage = `HTTP ${info.status} ${info.statusText}`;
+    }
+
+    if (!this.config.networkOptions?.captureFailedOnly || info.status >= 400) {
+      this.transport.sendNetworkRequest(networkRequest);
+    }
   }
 
   private shouldIgnoreUrl(url: string): boolean {
@@ -26,10 +26,10 @@ export class PerformanceCollector {
   ) {}
 
   start(): void {
-    if (!this.config.performance?.enabled) return;
+    if (!this.config.performance?.enabled || this.frameMonitorId) return;
 
-    // Track app startup time
-    if (this.config.performance.trackAppStartTime) {
+    // Track app startup time (only on the first start, not when resuming)
+    if (this.config.performance.trackAppStartTime && !this.appStartTime) {
       this.trackAppStartTime();
     }
 
@@ -52,7 +52,7 @@ export class RecordingCollector {
   }
 
   start(): void {
-    if (!this.config.recordingOptions?.enabled) return;
+    if (!this.config.recordingOptions?.enabled || this.flushInterval) return;
 
     // Start periodic flush
     this.flushInterval = setInterval(() => {
@@ -0,0 +1,296 @@
+/**
+ * DevSkin Mobile SDK Compression
+ * Pure-JS gzip/deflate (LZ77 + fixed Huffman codes), so no native module is needed
+ */
+
+export type CompressionEncoding = 'gzip' | 'deflate';
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+  163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * Compress a string with the given HTTP content encoding
+ */
+export function compress(text: string, encoding: CompressionEncoding): Uint8Array {
+  const input = encodeUtf8(text);
+  return encoding === 'gzip' ? gzip(input) : zlibDeflate(input);
+}
+
+/**
+ * gzip container (RFC 1952)
+ */
+export function gzip(input: Uint8Array): Uint8Array {
+  const body = deflateRaw(input);
+  const output = new Uint8Array(10 + body.length + 8);
+
+  // Magic, CM=deflate, no flags, no mtime, no extra flags, OS=unknown
+  output.set([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 0xff], 0);
+  output.set(body, 10);
+
+  const crc = crc32(input);
+  const size = input.length;
+  const trailer = 10 + body.length;
+  for (let i = 0; i < 4; i++) {
+    output[trailer + i] = (crc >>> (8 * i)) & 0xff;
+    output[trailer + 4 + i] = (size >>> (8 * i)) & 0xff;
+  }
+
+  return output;
+}
+
+/**
+ * zlib container (RFC 1950), which is what HTTP "deflate" means
+ */
+export function zlibDeflate(input: Uint8Array): Uint8Array {
+  const body = deflateRaw(input);
+  const output = new Uint8Array(2 + body.length + 4);
+
+  // CM=8 with a 32K window, FCHECK makes the header a multiple of 31
+  output[0] = 0x78;
+  output[1] = 0x01;
+  output.set(body, 2);
+
+  const adler = adler32(input);
+  const trailer = 2 + body.length;
+  for (let i = 0; i < 4; i++) {
+    output[trailer + i] = (adler >>> (24 - 8 * i)) & 0xff;
+  }
+
+  return output;
+}
+
+/**
+ * Raw DEFLATE stream (RFC 1951) as a single fixed-Huffman block
+ */
+export function deflateRaw(input: Uint8Array): Uint8Array {
+  const writer = new BitWriter(Math.max(64, input.length >> 1));
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const prev = new Int32Array(WINDOW_SIZE);
+
+  // BFINAL=1, BTYPE=01 (fixed Huffman)
+  writer.writeBits(1, 1);
+  writer.writeBits(1, 2);
+
+  const insert = (pos: number) => {
+    const hash = hashAt(input, pos);
+    prev[pos & (WINDOW_SIZE - 1)] = head[hash]!;
+    head[hash] = pos;
+  };
+
+  let pos = 0;
+  while (pos < input.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (pos + MIN_MATCH <= input.length) {
+      const maxLength = Math.min(MAX_MATCH, input.length - pos);
+      let candidate = head[hashAt(input, pos)]!;
+      let chain = MAX_CHAIN;
+
+      while (candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain-- > 0) {
+        let length = 0;
+        while (length < maxLength && input[candidate + length] === input[pos + length]) {
+          length++;
+        }
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = pos - candidate;
+          if (length === maxLength) break;
+        }
+        const next = prev[candidate & (WINDOW_SIZE - 1)]!;
+        if (next >= candidate) break;
+        candidate = next;
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      writeLength(writer, bestLength);
+      writeDistance(writer, bestDistance);
+      for (let i = 0; i < bestLength; i++) {
+        if (pos + MIN_MATCH <= input.length) insert(pos);
+        pos++;
+      }
+    } else {
+      writeLiteral(writer, input[pos]!);
+      if (pos + MIN_MATCH <= input.length) insert(pos);
+      pos++;
+    }
+  }
+
+  // End of block
+  writeLiteral(writer, 256);
+
+  return writer.finish();
+}
+
+export function crc32(input: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < input.length; i++) {
+    crc = crcTable[(crc ^ input[i]!) & 0xff]! ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function adler32(input: Uint8Array): number {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < input.length; i++) {
+    a = (a + input[i]!) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * UTF-8 encode without relying on TextEncoder (not available on every RN engine)
+ */
+export function encodeUtf8(text: string): Uint8Array {
+  const bytes: number[] = [];
+
+  for (let i = 0; i < text.length; i++) {
+    let code = text.charCodeAt(i);
+
+    // Combine surrogate pairs
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+      const low = text.charCodeAt(i + 1);
+      if (low >= 0xdc00 && low <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00);
+        i++;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+// Private helpers
+class BitWriter {
+  private buffer: Uint8Array;
+  private length = 0;
+  private bitBuffer = 0;
+  private bitCount = 0;
+
+  constructor(initialSize: number) {
+    this.buffer = new Uint8Array(initialSize);
+  }
+
+  // Values are packed least-significant bit first
+  writeBits(value: number, count: number): void {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.pushByte(this.bitBuffer & 0xff);
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  // Huffman codes are packed most-significant bit first
+  writeCode(code: number, count: number): void {
+    let reversed = 0;
+    for (let i = 0; i < count; i++) {
+      reversed = (reversed << 1) | ((code >> i) & 1);
+    }
+    this.writeBits(reversed, count);
+  }
+
+  finish(): Uint8Array {
+    if (this.bitCount > 0) {
+      this.pushByte(this.bitBuffer & 0xff);
+      this.bitBuffer = 0;
+      this.bitCount = 0;
+    }
+    return this.buffer.slice(0, this.length);
+  }
+
+  private pushByte(byte: number): void {
+    if (this.length === this.buffer.length) {
+      const grown = new Uint8Array(this.buffer.length * 2);
+      grown.set(this.buffer);
+      this.buffer = grown;
+    }
+    this.buffer[this.length++] = byte;
+  }
+}
+
+function hashAt(input: Uint8Array, pos: number): number {
+  return ((input[pos]! << 10) ^ (input[pos + 1]! << 5) ^ input[pos + 2]!) & (HASH_SIZE - 1);
+}
+
+// Fixed literal/length code table (RFC 1951 section 3.2.6)
+function writeLiteral(writer: BitWriter, value: number): void {
+  if (value < 144) {
+    writer.writeCode(0x30 + value, 8);
+  } else if (value < 256) {
+    writer.writeCode(0x190 + value - 144, 9);
+  } else if (value < 280) {
+    writer.writeCode(value - 256, 7);
+  } else {
+    writer.writeCode(0xc0 + value - 280, 8);
+  }
+}
+
+function writeLength(writer: BitWriter, length: number): void {
+  let code = LENGTH_BASE.length - 1;
+  while (LENGTH_BASE[code]! > length) code--;
+  writeLiteral(writer, 257 + code);
+  if (LENGTH_EXTRA[code]! > 0) {
+    writer.writeBits(length - LENGTH_BASE[code]!, LENGTH_EXTRA[code]!);
+  }
+}
+
+function writeDistance(writer: BitWriter, distance: number): void {
+  let code = DIST_BASE.length - 1;
+  while (DIST_BASE[code]! > distance) code--;
+  writer.writeCode(code, 5);
+  if (DIST_EXTRA[code]! > 0) {
+    writer.writeBits(distance - DIST_BASE[code]!, DIST_EXTRA[code]!);
+  }
+}
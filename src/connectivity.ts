@@ -0,0 +1,45 @@
+/**
+ * DevSkin Mobile SDK Connectivity
+ * Pluggable reachability source used to pause sending while offline
+ */
+
+export interface ConnectivityAdapter {
+  /**
+   * Resolve the current reachability state
+   */
+  fetch(): Promise<boolean>;
+
+  /**
+   * Listen for reachability changes, returns an unsubscribe function
+   */
+  subscribe(listener: (isOnline: boolean) => void): () => void;
+}
+
+/**
+ * Use @react-native-community/netinfo if it is installed
+ */
+export function createNetInfoConnectivity(): ConnectivityAdapter | null {
+  try {
+    const module = require('@react-native-community/netinfo');
+    const NetInfo = module?.default ?? module;
+    if (!NetInfo || typeof NetInfo.addEventListener !== 'function') {
+      return null;
+    }
+
+    return {
+      async fetch() {
+        return isReachable(await NetInfo.fetch());
+      },
+      subscribe(listener) {
+        return NetInfo.addEventListener((state: any) => listener(isReachable(state)));
+      },
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Unknown reachability (null) is treated as online so we never stall on it
+function isReachable(state: any): boolean {
+  return state?.isConnected !== false && state?.isInternetReachable !== false;
+}
@@ -0,0 +1,68 @@
+/**
+ * DevSkin Mobile SDK Consent
+ * Per-category consent and the queue item types each category covers
+ */
+
+import { ConsentCategory, ConsentState, DevSkinMobileConfig, QueueItemType } from './types';
+
+export const CONSENT_CATEGORIES: ConsentCategory[] = [
+  'analytics',
+  'crashes',
+  'performance',
+  'replay',
+  'heatmaps',
+  'network',
+];
+
+// Sessions carry identity and device details, so they count as analytics.
+// Consent records are not gated: they are the proof of the user's choice.
+const CATEGORY_ITEM_TYPES: Record<ConsentCategory, QueueItemType[]> = {
+  analytics: ['event', 'screen', 'user', 'session'],
+  crashes: ['error'],
+  performance: ['performance'],
+  replay: ['recording'],
+  heatmaps: ['heatmap'],
+  network: ['network'],
+};
+
+/**
+ * Consent before the user made a choice. allowedDataTypes limits crashes and network;
+ * respectDoNotTrack makes everything except crash reporting opt-in (mobile has no DNT signal).
+ */
+export function resolveDefaultConsent(config: DevSkinMobileConfig): ConsentState {
+  const privacy = config.privacy || {};
+  const optIn = privacy.respectDoNotTrack === true;
+  const allowed = privacy.allowedDataTypes;
+
+  return {
+    analytics: !optIn,
+    crashes: !allowed || allowed.includes('crashes'),
+    performance: !optIn,
+    replay: !optIn,
+    heatmaps: !optIn,
+    network: !optIn && (!allowed || allowed.includes('network')),
+    ...privacy.defaultConsent,
+  };
+}
+
+/**
+ * Item types that must no longer be collected under the given consent
+ */
+export function getDeniedItemTypes(consent: ConsentState): QueueItemType[] {
+  return CONSENT_CATEGORIES
+    .filter((category) => !consent[category])
+    .flatMap((category) => CATEGORY_ITEM_TYPES[category]);
+}
+
+/**
+ * Merge a partial update into the current consent, ignoring unknown categories
+ */
+export function mergeConsent(current: ConsentState, update: Partial<ConsentState>): ConsentState {
+  const merged = { ...current };
+  CONSENT_CATEGORIES.forEach((category) => {
+    if (typeof update[category] === 'boolean') {
+      merged[category] = update[category]!;
+    }
+  });
+  return merged;
+}
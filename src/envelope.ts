@@ -0,0 +1,66 @@
+/**
+ * DevSkin Mobile SDK Batch Envelope
+ * Packs queued items of mixed types into size-capped envelopes for the batch endpoint
+ */
+
+import type { QueuedItem } from './transport';
+
+export interface EnvelopeItem {
+  type: QueuedItem['type'];
+  timestamp: string;
+  data: any;
+  // Original REST target, for items that don't map to their type's default endpoint
+  path?: string;
+  method?: 'POST' | 'PUT';
+}
+
+export interface EnvelopeChunk {
+  items: QueuedItem[];
+  envelopeItems: EnvelopeItem[];
+  sizeBytes: number;
+}
+
+export function toEnvelopeItem(item: QueuedItem): EnvelopeItem {
+  const envelopeItem: EnvelopeItem = {
+    type: item.type,
+    timestamp: new Date(item.timestamp).toISOString(),
+    data: item.data,
+  };
+
+  if (item.endpoint) {
+    envelopeItem.path = item.endpoint;
+    envelopeItem.method = item.method || 'POST';
+  }
+
+  return envelopeItem;
+}
+
+/**
+ * Split items into chunks whose serialized items stay under maxBytes.
+ * An item larger than maxBytes on its own still gets a chunk; the backend decides.
+ */
+export function splitIntoChunks(items: QueuedItem[], maxBytes: number): EnvelopeChunk[] {
+  const chunks: EnvelopeChunk[] = [];
+  let current: EnvelopeChunk = { items: [], envelopeItems: [], sizeBytes: 0 };
+
+  items.forEach((item) => {
+    const envelopeItem = toEnvelopeItem(item);
+    // +1 for the separating comma
+    const size = JSON.stringify(envelopeItem).length + 1;
+
+    if (current.items.length > 0 && current.sizeBytes + size > maxBytes) {
+      chunks.push(current);
+      current = { items: [], envelopeItems: [], sizeBytes: 0 };
+    }
+
+    current.items.push(item);
+    current.envelopeItems.push(envelopeItem);
+    current.sizeBytes += size;
+  });
+
+  if (current.items.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
@@ -0,0 +1,173 @@
+/**
+ * DevSkin Mobile SDK Event Schemas
+ * Registry of expected event properties, runtime validation, and typed track helpers
+ */
+
+export type PropertyType = 'string' | 'number' | 'boolean' | 'object' | 'array' | 'date' | 'any';
+
+export interface PropertySchema {
+  type: PropertyType;
+  required?: boolean;
+  enum?: readonly (string | number | boolean)[];
+}
+
+export interface EventSchema {
+  properties: Record<string, PropertyType | PropertySchema>;
+  // Whether properties not listed are allowed, default true
+  additionalProperties?: boolean;
+}
+
+export type EventSchemas = Record<string, EventSchema>;
+
+export interface SchemaViolation {
+  eventName: string;
+  property?: string;
+  message: string;
+}
+
+export class SchemaRegistry {
+  private schemas: Map<string, EventSchema> = new Map();
+
+  register(schemas: EventSchemas): void {
+    Object.keys(schemas).forEach((eventName) => {
+      this.schemas.set(eventName, schemas[eventName]!);
+    });
+  }
+
+  unregister(eventName: string): void {
+    this.schemas.delete(eventName);
+  }
+
+  has(eventName: string): boolean {
+    return this.schemas.has(eventName);
+  }
+
+  /**
+   * Check properties against the event's schema; unregistered events always pass
+   */
+  validate(eventName: string, properties: Record<string, any> = {}): SchemaViolation[] {
+    const schema = this.schemas.get(eventName);
+    if (!schema) return [];
+
+    const violations: SchemaViolation[] = [];
+    const add = (property: string, message: string) => violations.push({ eventName, property, message });
+
+    Object.keys(schema.properties).forEach((property) => {
+      const spec = normalizeSpec(schema.properties[property]!);
+      const value = properties[property];
+
+      if (value === undefined || value === null) {
+        if (spec.required) {
+          add(property, `missing required property "${property}"`);
+        }
+        return;
+      }
+
+      if (!matchesType(value, spec.type)) {
+        add(property, `"${property}" should be ${spec.type}, got ${describe(value)}`);
+        return;
+      }
+
+      if (spec.enum && !spec.enum.includes(value)) {
+        add(property, `"${property}" should be one of ${spec.enum.join(', ')}, got ${value}`);
+      }
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(properties)
+        .filter((property) => !(property in schema.properties))
+        .forEach((property) => add(property, `unexpected property "${property}"`));
+    }
+
+    return violations;
+  }
+}
+
+function normalizeSpec(spec: PropertyType | PropertySchema): PropertySchema {
+  return typeof spec === 'string' ? { type: spec } : spec;
+}
+
+function matchesType(value: any, type: PropertyType): boolean {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+    case 'date':
+      return value instanceof Date || (typeof value === 'string' && !isNaN(Date.parse(value)));
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describe(value: any): string {
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+}
+
+// Typed helpers: property types inferred from a schema declared with defineEventSchemas()
+
+type TypeOf<T extends PropertyType> = T extends 'string'
+  ? string
+  : T extends 'number'
+    ? number
+    : T extends 'boolean'
+      ? boolean
+      : T extends 'object'
+        ? Record<string, any>
+        : T extends 'array'
+          ? any[]
+          : T extends 'date'
+            ? Date | string
+            : any;
+
+type ValueOf<S> = S extends PropertyType
+  ? TypeOf<S>
+  : S extends { enum: readonly (infer E)[] }
+    ? E
+    : S extends { type: infer T extends PropertyType }
+      ? TypeOf<T>
+      : never;
+
+type RequiredKeys<P> = { [K in keyof P]: P[K] extends { required: true } ? K : never }[keyof P];
+
+export type EventProperties<S extends EventSchema> = {
+  [K in RequiredKeys<S['properties']>]: ValueOf<S['properties'][K]>;
+} & {
+  [K in Exclude<keyof S['properties'], RequiredKeys<S['properties']>>]?: ValueOf<S['properties'][K]>;
+} & (S extends { additionalProperties: false } ? {} : Record<string, any>);
+
+/**
+ * Declare schemas with their literal types preserved, for use with createTypedTracker()
+ */
+export function defineEventSchemas<const S extends EventSchemas>(schemas: S): S {
+  return schemas;
+}
+
+/**
+ * Wrap track() so event names and properties are type-checked against the schemas
+ *
+ * @example
+ * const schemas = defineEventSchemas({
+ *   signup: { properties: { method: { type: 'string', enum: ['email', 'google'], required: true } } },
+ * });
+ * DevSkin.registerEventSchemas(schemas);
+ * const analytics = createTypedTracker(DevSkin, schemas);
+ * analytics.track('signup', { method: 'email' }); // ok
+ * analytics.track('signup', { method: 'fax' }); // type error
+ */
+export function createTypedTracker<S extends EventSchemas>(
+  sdk: { track(eventName: string, properties?: Record<string, any>): void },
+  _schemas: S
+): { track<N extends keyof S & string>(eventName: N, properties: EventProperties<S[N]>): void } {
+  return {
+    track(eventName, properties) {
+      sdk.track(eventName, properties as Record<string, any>);
+    },
+  };
+}
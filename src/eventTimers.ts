@@ -0,0 +1,73 @@
+/**
+ * DevSkin Mobile SDK Event Timers
+ * Measures durations between timeEvent(name) and the matching track(name),
+ * excluding time spent in the background
+ */
+
+interface Timer {
+  elapsedMs: number;
+  // null while the app is in the background
+  runningSince: number | null;
+}
+
+export class EventTimers {
+  private timers: Map<string, Timer> = new Map();
+  private paused = false;
+
+  /**
+   * Start (or restart) the timer for an event name
+   */
+  start(name: string, now: number = Date.now()): void {
+    this.timers.set(name, { elapsedMs: 0, runningSince: this.paused ? null : now });
+  }
+
+  /**
+   * Stop the timer for an event name and return its duration, or null if none was running
+   */
+  stop(name: string, now: number = Date.now()): number | null {
+    const timer = this.timers.get(name);
+    if (!timer) return null;
+
+    this.timers.delete(name);
+    return Math.round(timer.elapsedMs + (timer.runningSince !== null ? Math.max(0, now - timer.runningSince) : 0));
+  }
+
+  cancel(name: string): void {
+    this.timers.delete(name);
+  }
+
+  has(name: string): boolean {
+    return this.timers.has(name);
+  }
+
+  /**
+   * Stop counting time for every timer (app went to the background)
+   */
+  pause(now: number = Date.now()): void {
+    if (this.paused) return;
+    this.paused = true;
+
+    this.timers.forEach((timer) => {
+      if (timer.runningSince !== null) {
+        timer.elapsedMs += Math.max(0, now - timer.runningSince);
+        timer.runningSince = null;
+      }
+    });
+  }
+
+  /**
+   * Continue counting time (app came back to the foreground)
+   */
+  resume(now: number = Date.now()): void {
+    if (!this.paused) return;
+    this.paused = false;
+
+    this.timers.forEach((timer) => {
+      timer.runningSince = now;
+    });
+  }
+
+  clear(): void {
+    this.timers.clear();
+  }
+}
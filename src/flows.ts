@@ -0,0 +1,208 @@
+/**
+ * DevSkin Mobile SDK Flow Tracker
+ * Funnels such as onboarding or checkout: steps with automatic durations,
+ * completion, and abandonment on timeout or session end
+ */
+
+import { FlowStep } from './types';
+
+export type FlowEventName = 'flow_started' | 'flow_step' | 'flow_completed' | 'flow_abandoned';
+export type FlowAbandonReason = 'manual' | 'timeout' | 'session_end' | 'restarted';
+
+export interface FlowStepInput {
+  stepName: string;
+  success?: boolean;
+  errorMessage?: string;
+}
+
+export interface FlowTrackerOptions {
+  // Inactivity after which a flow is abandoned
+  timeoutMs: number;
+  generateId: () => string;
+  getScreenName: () => string;
+  onEvent: (eventName: FlowEventName, properties: Record<string, any>) => void;
+  // Called whenever the set of active flows changes
+  onChange: (activeFlows: Record<string, { flowId: string; step?: string }>) => void;
+  debug?: boolean;
+}
+
+interface ActiveFlow {
+  flowId: string;
+  flowName: string;
+  startedAt: number;
+  lastStepAt: number;
+  expectedSteps?: string[];
+  steps: FlowStep[];
+  timeout: ReturnType<typeof setTimeout> | null;
+}
+
+export class FlowTracker {
+  private flows: Map<string, ActiveFlow> = new Map();
+
+  constructor(private options: FlowTrackerOptions) {}
+
+  /**
+   * Start a flow and return its ID. A flow already running under the same name is abandoned.
+   */
+  start(flowName: string, expectedSteps?: string[]): string {
+    if (this.flows.has(flowName)) {
+      this.abandon(flowName, 'restarted');
+    }
+
+    const now = Date.now();
+    const flow: ActiveFlow = {
+      flowId: this.options.generateId(),
+      flowName,
+      startedAt: now,
+      lastStepAt: now,
+      expectedSteps,
+      steps: [],
+      timeout: null,
+    };
+    this.flows.set(flowName, flow);
+    this.scheduleTimeout(flow);
+
+    this.options.onEvent('flow_started', {
+      ...this.baseProperties(flow),
+      expected_steps: expectedSteps,
+    });
+    this.notifyChange();
+
+    return flow.flowId;
+  }
+
+  /**
+   * Record a step; its duration is the time since the flow started or the previous step
+   */
+  step(flowName: string, input: string | FlowStepInput): void {
+    const flow = this.flows.get(flowName);
+    if (!flow) {
+      if (this.options.debug) {
+        console.warn('[DevSkin Mobile] flowStep() for a flow that is not running:', flowName);
+      }
+      return;
+    }
+
+    const { stepName, success = true, errorMessage } = typeof input === 'string' ? { stepName: input } : input;
+    const now = Date.now();
+    const step: FlowStep = {
+      stepName,
+      screenName: this.options.getScreenName(),
+      timestamp: new Date(now).toISOString(),
+      duration: now - flow.lastStepAt,
+      success,
+      errorMessage,
+    };
+
+    flow.steps.push(step);
+    flow.lastStepAt = now;
+    this.scheduleTimeout(flow);
+
+    this.options.onEvent('flow_step', {
+      ...this.baseProperties(flow),
+      step_name: step.stepName,
+      step_index: flow.steps.length - 1,
+      step_duration_ms: step.duration,
+      success: step.success,
+      error_message: step.errorMessage,
+      screen_name: step.screenName,
+    });
+    this.notifyChange();
+  }
+
+  /**
+   * Finish a flow successfully
+   */
+  complete(flowName: string, properties?: Record<string, any>): void {
+    const flow = this.take(flowName);
+    if (!flow) return;
+
+    this.options.onEvent('flow_completed', {
+      ...properties,
+      ...this.summaryProperties(flow),
+    });
+    this.notifyChange();
+  }
+
+  /**
+   * Give up on a flow; the last recorded step shows where the user dropped out
+   */
+  abandon(flowName: string, reason: FlowAbandonReason = 'manual'): void {
+    const flow = this.take(flowName);
+    if (!flow) return;
+
+    this.options.onEvent('flow_abandoned', {
+      ...this.summaryProperties(flow),
+      reason,
+      last_step: flow.steps[flow.steps.length - 1]?.stepName,
+    });
+    this.notifyChange();
+  }
+
+  abandonAll(reason: FlowAbandonReason): void {
+    [...this.flows.keys()].forEach((flowName) => this.abandon(flowName, reason));
+  }
+
+  getFlowId(flowName: string): string | null {
+    return this.flows.get(flowName)?.flowId ?? null;
+  }
+
+  /**
+   * Drop all flows without reporting them (SDK teardown)
+   */
+  clear(): void {
+    this.flows.forEach((flow) => {
+      if (flow.timeout) clearTimeout(flow.timeout);
+    });
+    this.flows.clear();
+  }
+
+  // Private methods
+  private take(flowName: string): ActiveFlow | null {
+    const flow = this.flows.get(flowName);
+    if (!flow) return null;
+
+    if (flow.timeout) clearTimeout(flow.timeout);
+    this.flows.delete(flowName);
+    return flow;
+  }
+
+  private scheduleTimeout(flow: ActiveFlow): void {
+    if (flow.timeout) clearTimeout(flow.timeout);
+
+    flow.timeout = setTimeout(() => {
+      // Only if this exact flow is still the one running under its name
+      if (this.flows.get(flow.flowName) === flow) {
+        this.abandon(flow.flowName, 'timeout');
+      }
+    }, this.options.timeoutMs);
+  }
+
+  private baseProperties(flow: ActiveFlow): Record<string, any> {
+    return {
+      flow_id: flow.flowId,
+      flow_name: flow.flowName,
+    };
+  }
+
+  private summaryProperties(flow: ActiveFlow): Record<string, any> {
+    return {
+      ...this.baseProperties(flow),
+      duration_ms: Date.now() - flow.startedAt,
+      step_count: flow.steps.length,
+      expected_steps: flow.expectedSteps,
+      steps: flow.steps,
+    };
+  }
+
+  private notifyChange(): void {
+    const activeFlows: Record<string, { flowId: string; step?: string }> = {};
+    this.flows.forEach((flow) => {
+      activeFlows[flow.flowName] = {
+        flowId: flow.flowId,
+        step: flow.steps[flow.steps.length - 1]?.stepName,
+      };
+    });
+    this.options.onChange(activeFlows);
+  }
+}
@@ -21,6 +21,13 @@ import {
   AppInfo,
   Breadcrumb,
   ScreenViewData,
+  TransportDiagnostics,
+  GroupData,
+  AliasData,
+  RevenueData,
+  UserPropertyOperation,
+  ConsentCategory,
+  ConsentState,
 } from './types';
 import { MobileTransport } from './transport';
 import { ErrorCollector } from './collectors/error';
@@ -29,21 +36,73 @@ import { PerformanceCollector } from './collectors/performance';
 import { HeatmapCollector } from './collectors/heatmap';
 import { DeviceCollector } from './collectors/device';
 import { RecordingCollector } from './collectors/recording';
+import { SessionStats } from './sessionStats';
+import { StateStore, PersistedState } from './stateStore';
+import { resolveStorage, getStorageKey } from './storage';
+import { Scope } from './scope';
+import { EventTimers } from './eventTimers';
+import { FlowTracker, FlowStepInput } from './flows';
+import { UserProperties, applyUserOperations } from './userProperties';
+import { SchemaRegistry, EventSchemas } from './eventSchema';
+import { CONSENT_CATEGORIES, resolveDefaultConsent, mergeConsent } from './consent';
+import {
+  validateRevenue,
+  getTransactionKey,
+  getRevenueAmount,
+  toRevenueProperties,
+  MAX_TRANSACTION_IDS,
+} from './revenue';
 
 // Re-export types
 export * from './types';
 
+// Storage namespaces of initialized instances; each may only have one live owner
+const liveInstanceKeys: Set<string> = new Set();
+
 class DevSkinMobileSDK {
+  /**
+   * User property operations for the current user, identified or anonymous.
+   * Operations are batched and can be called before init.
+   *
+   * @example
+   * DevSkin.userProperties
+   *   .set('plan', 'pro')
+   *   .setOnce('first_seen', new Date().toISOString())
+   *   .increment('sessions')
+   *   .union('interests', ['running']);
+   */
+  readonly userProperties: UserProperties = new UserProperties((operation) => this.queueUserOperation(operation));
+
   private config: DevSkinMobileConfig | null = null;
   private transport: MobileTransport | null = null;
   private sessionId: string | null = null;
   private userId: string | null = null;
   private anonymousId: string | null = null;
-  private _sessionStartTime: number = 0;
+  private sessionStartTime: number = 0;
+  private lastActivityAt: number = 0;
+  private session: SessionData | null = null;
+  private sessionStats: SessionStats | null = null;
+  private summaryInterval: ReturnType<typeof setInterval> | null = null;
   private initialized = false;
   private initializing = false;
+  // Teardown of the previous transport; init() waits so only one owns the stored queue
+  private destroying: Promise<void> | null = null;
+  // Storage namespace this instance owns while initialized
+  private instanceKey: string | null = null;
   private currentScreen: string = '';
   private userTraits: Record<string, any> = {};
+  private superProperties: Record<string, any> = {};
+  private groups: NonNullable<PersistedState['groups']> = {};
+  private eventTimers: EventTimers = new EventTimers();
+  private flows: FlowTracker | null = null;
+  private transactionIds: string[] = [];
+  // User property operations waiting to be sent as one batch
+  private pendingUserOperations: UserPropertyOperation[] = [];
+  private userOperationsTimeout: ReturnType<typeof setTimeout> | null = null;
+  private schemas: SchemaRegistry = new SchemaRegistry();
+  private consent: ConsentState | null = null;
+  // setConsent() called before init, applied once persisted state is loaded
+  private pendingConsent: Partial<ConsentState> | null = null;
 
   // Collectors
   private deviceCollector: DeviceCollector | null = null;
@@ -58,6 +117,14 @@ class DevSkinMobileSDK {
   private appInfo: AppInfo | null = null;
   private appState: AppStateStatus = 'active';
   private isOptedOut = false;
+  // Opt-out/opt-in called before init, applied once persisted state is loaded
+  private pendingOptOut: boolean | null = null;
+  private stateStore: StateStore | null = null;
+  private paused = false;
+  // Global scope at the bottom, one more per active withScope() call
+  private scopes: Scope[] = [new Scope()];
+  private appStateSubscription: { remove(): void } | null = null;
+  private dimensionSubscription: { remove(): void } | null = null;
 
   /**
    * Initialize the DevSkin Mobile SDK
@@ -68,8 +135,24 @@ class DevSkinMobileSDK {
       return;
     }
 
+    // A second live instance on the same storage keys would overwrite the first one's queue and state
+    const instanceKey = getStorageKey('state', config);
+    if (liveInstanceKeys.has(instanceKey)) {
+      console.warn(
+        `[DevSkin Mobile] Another instance is already running for appId "${config.appId}"; give each one an instanceName`
+      );
+      return;
+    }
+    liveInstanceKeys.add(instanceKey);
+    this.instanceKey = instanceKey;
+
     this.initializing = true;
 
+    if (this.destroying) {
+      await this.destroying;
+      this.destroying = null;
+    }
+
     // Merge with default config
     this.config = {
       apiUrl: 'https://api-monitoring.devskin.com',
@@ -125,25 +208,53 @@ class DevSkinMobileSDK {
     }
 
     try {
+      if (this.config.eventSchemas?.schemas) {
+        this.schemas.register(this.config.eventSchemas.schemas);
+      }
+
       // Initialize transport
       this.transport = new MobileTransport(this.config);
+      this.transport.setScopeProvider(() => this.getScope().getData());
+
+      // Restore identity, preferences and consent from a previous launch,
+      // before restored queue items can be sent
+      await this.restoreState();
 
-      // Generate anonymous ID
-      this.anonymousId = this.getOrCreateAnonymousId();
+      // Restore anything left queued by a previous launch
+      await this.transport.init();
 
       // Initialize device collector and get device info
       this.deviceCollector = new DeviceCollector(this.config);
-      this.deviceInfo = await this.deviceCollector.collect();
+      const allowedDataTypes = this.config.privacy?.allowedDataTypes;
+      this.deviceInfo = !allowedDataTypes || allowedDataTypes.includes('device')
+        ? await this.deviceCollector.collect()
+        : null;
       this.appInfo = await this.deviceCollector.collectAppInfo();
 
       // Generate session
       this.sessionId = this.generateId();
-      this._sessionStartTime = Date.now();
+      this.sessionStartTime = Date.now();
+      this.lastActivityAt = this.sessionStartTime;
       this.transport.setSessionId(this.sessionId);
 
       // Start session
       await this.startSession();
 
+      // Flows report through events and expose their IDs on the global scope
+      this.flows = new FlowTracker({
+        timeoutMs: this.config.analytics?.flowTimeout ?? 10 * 60 * 1000, // 10 minutes
+        generateId: () => this.generateId(),
+        getScreenName: () => this.currentScreen,
+        onEvent: (eventName, properties) => {
+          if (!this.isReady()) return;
+          this.trackEvent(eventName, properties, 'flow');
+        },
+        onChange: (activeFlows) => {
+          this.scopes[0]!.setContext('flows', Object.keys(activeFlows).length > 0 ? activeFlows : null);
+        },
+        debug: this.config.debug,
+      });
+
       // Initialize collectors
       this.initializeCollectors();
 
@@ -153,9 +264,15 @@ class DevSkinMobileSDK {
       // Setup dimension change listener
       this.setupDimensionListener();
 
+      // Periodically report session counters
+      this.startSummaryUpdates();
+
       this.initialized = true;
       this.initializing = false;
 
+      // Send user property operations made before init
+      this.scheduleUserOperationsFlush();
+
       // Mark app as ready (for cold start measurement)
       this.performanceCollector?.markAppReady();
 
@@ -165,6 +282,7 @@ class DevSkinMobileSDK {
       }
     } catch (error) {
       this.initializing = false;
+      this.releaseInstanceKey();
       console.error('[DevSkin Mobile] Failed to initialize SDK:', error);
       throw error;
     }
@@ -176,25 +294,146 @@ class DevSkinMobileSDK {
   track(eventName: string, properties?: Record<string, any>): void {
     if (!this.isReady()) return;
 
-    const eventData: EventData = {
-      eventName,
-      eventType: 'track',
-      timestamp: new Date().toISOString(),
-      sessionId: this.sessionId!,
-      userId: this.userId || undefined,
-      anonymousId: this.anonymousId!,
-      properties: {
-        ...properties,
-        screenName: this.currentScreen,
-      },
-      screenName: this.currentScreen,
-    };
+    const checked = this.checkSchema(eventName, properties);
+    if (checked === null) return;
 
-    this.transport!.sendEvent(eventData);
+    this.touchSession();
+    this.trackEvent(eventName, checked, 'track');
+  }
 
-    if (this.config?.debug) {
-      console.log('[DevSkin Mobile] Event tracked:', eventName, properties);
+  /**
+   * Register event schemas that track() validates against (can be called before init)
+   */
+  registerEventSchemas(schemas: EventSchemas): void {
+    this.schemas.register(schemas);
+  }
+
+  /**
+   * Start timing an event; the next track(eventName) gets duration_ms attached.
+   * Time spent with the app in the background is not counted.
+   *
+   * @example
+   * DevSkin.timeEvent('checkout');
+   * // ...user goes through checkout, across several screens
+   * DevSkin.track('checkout', { items: 3 }); // { items: 3, duration_ms: 48210 }
+   */
+  timeEvent(eventName: string): void {
+    if (!this.isReady()) return;
+    this.eventTimers.start(eventName);
+  }
+
+  /**
+   * Alias of timeEvent()
+   */
+  startTimer(eventName: string): void {
+    this.timeEvent(eventName);
+  }
+
+  /**
+   * Discard a running timer without tracking the event
+   */
+  cancelTimer(eventName: string): void {
+    this.eventTimers.cancel(eventName);
+  }
+
+  /**
+   * Start a flow (funnel) such as onboarding or checkout, returns the flow ID.
+   * While it runs, its ID is attached to errors and network requests.
+   *
+   * @example
+   * DevSkin.startFlow('checkout', ['cart', 'shipping', 'payment']);
+   * DevSkin.flowStep('checkout', 'cart');
+   * DevSkin.flowStep('checkout', { stepName: 'payment', success: false, errorMessage: 'Card declined' });
+   * DevSkin.abandonFlow('checkout');
+   */
+  startFlow(flowName: string, steps?: string[]): string | null {
+    if (!this.isReady() || !this.flows) return null;
+    this.touchSession();
+    return this.flows.start(flowName, steps);
+  }
+
+  /**
+   * Record a step of a running flow; durations are measured from the previous step
+   */
+  flowStep(flowName: string, step: string | FlowStepInput): void {
+    if (!this.isReady()) return;
+    this.touchSession();
+    this.flows?.step(flowName, step);
+  }
+
+  /**
+   * Mark a flow as completed
+   */
+  completeFlow(flowName: string, properties?: Record<string, any>): void {
+    if (!this.isReady()) return;
+    this.touchSession();
+    this.flows?.complete(flowName, properties);
+  }
+
+  /**
+   * Mark a flow as abandoned
+   */
+  abandonFlow(flowName: string): void {
+    if (!this.isReady()) return;
+    this.flows?.abandon(flowName, 'manual');
+  }
+
+  /**
+   * Track a purchase or refund. Returns false if the entry is invalid, its
+   * transaction ID was already tracked, or the event was not accepted (consent, rate limit).
+   *
+   * @example
+   * DevSkin.trackRevenue({
+   *   productId: 'premium_monthly',
+   *   price: 9.99,
+   *   currency: 'USD',
+   *   store: 'app_store',
+   *   transactionId: purchase.transactionId,
+   * });
+   */
+  trackRevenue(revenue: RevenueData): boolean {
+    if (!this.isReady()) return false;
+
+    const problem = validateRevenue(revenue);
+    if (problem) {
+      if (this.config?.debug) {
+        console.warn('[DevSkin Mobile] Invalid revenue:', problem);
+      }
+      return false;
     }
+
+    const transactionKey = getTransactionKey(revenue);
+    if (transactionKey && this.transactionIds.includes(transactionKey)) {
+      if (this.config?.debug) {
+        console.log('[DevSkin Mobile] Duplicate transaction ignored:', revenue.transactionId);
+      }
+      return false;
+    }
+
+    this.touchSession();
+    if (!this.trackEvent(revenue.isRefund ? 'refund' : 'purchase', toRevenueProperties(revenue), 'revenue')) {
+      return false;
+    }
+
+    // Only accepted transactions count as seen, so a dropped one can be tracked again
+    if (transactionKey) {
+      this.transactionIds = [...this.transactionIds, transactionKey].slice(-MAX_TRANSACTION_IDS);
+      this.stateStore?.update({ transactionIds: this.transactionIds });
+    }
+    this.sessionStats?.recordRevenue(getRevenueAmount(revenue), revenue.currency.toUpperCase());
+    return true;
+  }
+
+  /**
+   * Shorthand for trackRevenue() with a product ID
+   */
+  trackPurchase(
+    productId: string,
+    price: number,
+    currency: string,
+    options?: Omit<RevenueData, 'productId' | 'price' | 'currency'>
+  ): boolean {
+    return this.trackRevenue({ ...options, productId, price, currency });
   }
 
   /**
@@ -202,6 +441,7 @@ class DevSkinMobileSDK {
    */
   trackScreen(screenName: string, properties?: Record<string, any>): void {
     if (!this.isReady()) return;
+    this.touchSession();
 
     const previousScreen = this.currentScreen;
     this.currentScreen = screenName;
@@ -225,6 +465,7 @@ class DevSkinMobileSDK {
     };
 
     this.transport!.sendScreenView(screenView);
+    this.sessionStats?.recordScreenView();
 
     // Also track as analytics event
     this.track('screen_view', {
@@ -252,8 +493,12 @@ class DevSkinMobileSDK {
   identify(userId: string, traits?: Record<string, any>): void {
     if (!this.isReady()) return;
 
+    // Pending property operations belong to the identity they were made under
+    this.flushUserOperations();
+
     this.userId = userId;
     this.userTraits = { ...this.userTraits, ...traits };
+    this.stateStore?.update({ userId, traits: this.userTraits });
 
     // Update collectors
     this.errorCollector?.setUserId(userId);
@@ -273,6 +518,108 @@ class DevSkinMobileSDK {
     }
   }
 
+  /**
+   * Associate the user with a group (account, organization, team)
+   */
+  group(groupType: string, groupId: string, traits?: Record<string, any>): void {
+    if (!this.isReady()) return;
+
+    const previous = this.groups[groupType];
+    this.groups = {
+      ...this.groups,
+      [groupType]: {
+        groupId,
+        traits: previous?.groupId === groupId ? { ...previous.traits, ...traits } : traits,
+      },
+    };
+    this.stateStore?.update({ groups: this.groups });
+
+    const groupData: GroupData = {
+      groupType,
+      groupId,
+      traits: this.groups[groupType]!.traits,
+      userId: this.userId || undefined,
+      anonymousId: this.anonymousId!,
+      sessionId: this.sessionId!,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.transport!.identifyGroup(groupData);
+
+    if (this.config?.debug) {
+      console.log('[DevSkin Mobile] Group identified:', groupType, groupId, traits);
+    }
+  }
+
+  /**
+   * Merge the current identity (user ID, else anonymous ID) into newId
+   */
+  alias(newId: string): void {
+    if (!this.isReady()) return;
+
+    const previousId = this.userId || this.anonymousId!;
+    if (previousId === newId) return;
+
+    this.flushUserOperations();
+
+    this.userId = newId;
+    this.stateStore?.update({ userId: newId });
+    this.errorCollector?.setUserId(newId);
+
+    const aliasData: AliasData = {
+      userId: newId,
+      previousId,
+      anonymousId: this.anonymousId!,
+      sessionId: this.sessionId!,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.transport!.alias(aliasData);
+
+    if (this.config?.debug) {
+      console.log('[DevSkin Mobile] Alias:', previousId, '->', newId);
+    }
+  }
+
+  /**
+   * Register super properties sent with every event
+   */
+  register(properties: Record<string, any>): void {
+    if (!this.isReady()) return;
+
+    this.superProperties = { ...this.superProperties, ...properties };
+    this.stateStore?.update({ superProperties: this.superProperties });
+  }
+
+  /**
+   * Register super properties that are not already set
+   */
+  registerOnce(properties: Record<string, any>): void {
+    if (!this.isReady()) return;
+
+    this.superProperties = { ...properties, ...this.superProperties };
+    this.stateStore?.update({ superProperties: this.superProperties });
+  }
+
+  /**
+   * Remove a super property
+   */
+  unregister(name: string): void {
+    if (!this.isReady() || !(name in this.superProperties)) return;
+
+    const superProperties = { ...this.superProperties };
+    delete superProperties[name];
+    this.superProperties = superProperties;
+    this.stateStore?.update({ superProperties: this.superProperties });
+  }
+
+  /**
+   * Get the registered super properties
+   */
+  getSuperProperties(): Record<string, any> {
+    return { ...this.superProperties };
+  }
+
   /**
    * Set user properties without full identification
    */
@@ -280,7 +627,8 @@ class DevSkinMobileSDK {
     if (user.id) {
       this.identify(user.id, user);
     } else {
-      this.userTraits = { ...this.userTraits, ...user };
+      // Anonymous users get their properties through the property operations
+      this.userProperties.set(user);
     }
   }
 
@@ -288,9 +636,12 @@ class DevSkinMobileSDK {
    * Clear user data (on logout)
    */
   clearUser(): void {
+    this.flushUserOperations();
     this.userId = null;
     this.userTraits = {};
+    this.groups = {};
     this.errorCollector?.setUserId(undefined);
+    this.stateStore?.update({ userId: null, traits: {}, groups: {} });
 
     if (this.config?.debug) {
       console.log('[DevSkin Mobile] User cleared');
@@ -318,6 +669,7 @@ class DevSkinMobileSDK {
    */
   trackTouch(type: 'tap' | 'longPress' | 'swipe', x: number, y: number, extra?: Record<string, any>): void {
     if (!this.isReady()) return;
+    this.touchSession();
 
     // Heatmap tracking
     if (type === 'tap') {
@@ -334,6 +686,7 @@ class DevSkinMobileSDK {
    */
   trackScroll(scrollY: number, contentHeight: number, viewportHeight: number): void {
     if (!this.isReady()) return;
+    this.touchSession();
 
     // Heatmap tracking
     this.heatmapCollector?.onScroll(scrollY, contentHeight, viewportHeight);
@@ -441,9 +794,7 @@ class DevSkinMobileSDK {
    * Opt out of all tracking
    */
   optOut(): void {
-    this.isOptedOut = true;
-    // Store preference
-    // AsyncStorage.setItem('devskin_opt_out', 'true');
+    this.setOptOut(true);
 
     if (this.config?.debug) {
       console.log('[DevSkin Mobile] User opted out');
@@ -454,8 +805,7 @@ class DevSkinMobileSDK {
    * Opt back into tracking
    */
   optIn(): void {
-    this.isOptedOut = false;
-    // AsyncStorage.removeItem('devskin_opt_out');
+    this.setOptOut(false);
 
     if (this.config?.debug) {
       console.log('[DevSkin Mobile] User opted in');
@@ -483,6 +833,34 @@ class DevSkinMobileSDK {
     return this.anonymousId;
   }
 
+  /**
+   * Check if the device can currently reach the network
+   */
+  isOnline(): boolean {
+    return this.transport?.isOnline() ?? true;
+  }
+
+  /**
+   * Listen for reachability changes, returns an unsubscribe function
+   */
+  onConnectivityChange(listener: (isOnline: boolean) => void): () => void {
+    return this.transport?.onConnectivityChange(listener) ?? (() => {});
+  }
+
+  /**
+   * Get the estimated server-minus-device clock offset in ms (null if unknown)
+   */
+  getClockOffset(): number | null {
+    return this.transport?.getClockOffset() ?? null;
+  }
+
+  /**
+   * Get retry and drop counts from the transport
+   */
+  getDiagnostics(): TransportDiagnostics | null {
+    return this.transport?.getDiagnostics() ?? null;
+  }
+
   /**
    * Manually flush all pending events
    */
@@ -499,28 +877,233 @@ class DevSkinMobileSDK {
   }
 
   /**
-   * Destroy the SDK (cleanup)
+   * Set a tag on the current scope (e.g. feature flag, tenant, build flavor)
    */
-  destroy(): void {
+  setTag(key: string, value: string | number | boolean): void {
+    this.getScope().setTag(key, value);
+  }
+
+  /**
+   * Set several tags on the current scope
+   */
+  setTags(tags: Record<string, string | number | boolean>): void {
+    this.getScope().setTags(tags);
+  }
+
+  /**
+   * Set extra data on the current scope
+   */
+  setExtra(key: string, value: any): void {
+    this.getScope().setExtra(key, value);
+  }
+
+  /**
+   * Set a named context on the current scope, or remove it with null
+   */
+  setContext(name: string, context: Record<string, any> | null): void {
+    this.getScope().setContext(name, context);
+  }
+
+  /**
+   * Run a callback with a temporary copy of the current scope.
+   * Only data captured synchronously inside the callback gets the temporary context.
+   *
+   * @example
+   * DevSkin.withScope((scope) => {
+   *   scope.setTag('checkout_step', 'payment');
+   *   DevSkin.captureError(error);
+   * });
+   */
+  withScope<T>(callback: (scope: Scope) => T): T {
+    const scope = this.getScope().clone();
+    this.scopes.push(scope);
+    try {
+      return callback(scope);
+    } finally {
+      const index = this.scopes.lastIndexOf(scope);
+      if (index > 0) {
+        this.scopes.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Grant or revoke consent per category. Collectors start and stop immediately,
+   * queued data of revoked categories is purged, and the change is persisted
+   * and reported to the backend.
+   *
+   * @example
+   * DevSkin.setConsent({ analytics: true, replay: false, heatmaps: false });
+   */
+  setConsent(update: Partial<ConsentState>): void {
+    if (!this.consent || !this.stateStore) {
+      this.pendingConsent = { ...this.pendingConsent, ...update };
+      return;
+    }
+
+    const next = mergeConsent(this.consent, update);
+    const changed = CONSENT_CATEGORIES.filter((category) => next[category] !== this.consent![category]);
+    if (changed.length === 0) return;
+
+    this.applyConsent(next, changed, 'user');
+
+    if (this.config?.debug) {
+      console.log('[DevSkin Mobile] Consent updated:', next);
+    }
+  }
+
+  /**
+   * Current consent per category (null before init)
+   */
+  getConsent(): ConsentState | null {
+    return this.consent ? { ...this.consent } : null;
+  }
+
+  /**
+   * Temporarily stop all collection; queued data is still delivered
+   */
+  pause(): void {
+    if (!this.initialized || this.paused) return;
+
+    this.paused = true;
+    this.stopCollectors();
+
+    if (this.config?.debug) {
+      console.log('[DevSkin Mobile] Collection paused');
+    }
+  }
+
+  /**
+   * Resume collection after pause()
+   */
+  resume(): void {
+    if (!this.initialized || !this.paused) return;
+
+    this.paused = false;
+    this.syncCollectors();
+    this.scheduleUserOperationsFlush();
+
+    if (this.config?.debug) {
+      console.log('[DevSkin Mobile] Collection resumed');
+    }
+  }
+
+  /**
+   * Whether collection is paused
+   */
+  isPaused(): boolean {
+    return this.paused;
+  }
+
+  /**
+   * Destroy the SDK (cleanup). Resolves once the queue is flushed or persisted.
+   */
+  destroy(): Promise<void> {
     const debug = this.config?.debug;
 
-    this.performanceCollector?.stop();
-    this.heatmapCollector?.stop();
-    this.recordingCollector?.stop();
-    this.transport?.destroy();
+    if (this.summaryInterval) {
+      clearInterval(this.summaryInterval);
+      this.summaryInterval = null;
+    }
+
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+    this.dimensionSubscription?.remove();
+    this.dimensionSubscription = null;
 
+    // Report the session end while the transport can still deliver it
+    this.endSession();
+    this.flushUserOperations();
+
+    // Unhook from the shared globals so they are restored once no instance is left
+    this.stopCollectors();
+    const destroying = this.transport?.destroy() ?? Promise.resolve();
+    this.destroying = destroying;
+    this.releaseInstanceKey();
+
+    // Back to the pre-init state so init() can run again
     this.initialized = false;
+    this.initializing = false;
+    this.paused = false;
     this.config = null;
     this.transport = null;
+    this.stateStore = null;
+    this.sessionId = null;
+    this.userId = null;
+    this.anonymousId = null;
+    this.userTraits = {};
+    this.superProperties = {};
+    this.groups = {};
+    this.eventTimers = new EventTimers();
+    this.flows?.clear();
+    this.flows = null;
+    this.transactionIds = [];
+    this.pendingUserOperations = [];
+    this.consent = null;
+    this.pendingConsent = null;
+    this.scopes = [new Scope()];
+    this.isOptedOut = false;
+    this.sessionStartTime = 0;
+    this.lastActivityAt = 0;
+    this.sessionStats = null;
+    this.currentScreen = '';
+    this.deviceInfo = null;
+    this.appInfo = null;
+    this.deviceCollector = null;
+    this.errorCollector = null;
+    this.networkCollector = null;
+    this.performanceCollector = null;
+    this.heatmapCollector = null;
+    this.recordingCollector = null;
 
     if (debug) {
       console.log('[DevSkin Mobile] SDK destroyed');
     }
+
+    return destroying;
   }
 
   // Private methods
+  /**
+   * Send an event without counting it as user activity (used for SDK-generated events too).
+   * Returns whether the transport accepted it.
+   */
+  private trackEvent(eventName: string, properties: Record<string, any> | undefined, eventType: string): boolean {
+    // Close a timer started with timeEvent(); an explicit duration_ms wins
+    const durationMs = this.eventTimers.stop(eventName);
+    if (durationMs !== null && properties?.duration_ms === undefined) {
+      properties = { ...properties, duration_ms: durationMs };
+    }
+
+    const eventData: EventData = {
+      eventName,
+      eventType,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId!,
+      userId: this.userId || undefined,
+      anonymousId: this.anonymousId!,
+      properties: {
+        ...this.superProperties,
+        ...properties,
+        screenName: this.currentScreen,
+      },
+      screenName: this.currentScreen,
+      groups: this.getGroupIds(),
+    };
+
+    const accepted = this.transport!.sendEvent(eventData);
+    if (accepted) {
+      this.sessionStats?.recordEvent();
+    }
+
+    if (this.config?.debug) {
+      console.log('[DevSkin Mobile] Event tracked:', eventName, properties);
+    }
+    return accepted;
+  }
+
   private isReady(): boolean {
-    if (this.isOptedOut) return false;
+    if (this.isOptedOut || this.paused) return false;
     if (!this.initialized || !this.transport) {
       if (this.config?.debug) {
         console.warn('[DevSkin Mobile] SDK not initialized');
@@ -530,25 +1113,122 @@ class DevSkinMobileSDK {
     return true;
   }
 
+  /**
+   * Validate against the registered schema. Returns the properties to send
+   * (tagged if configured), or null if the event should be dropped.
+   */
+  private checkSchema(
+    eventName: string,
+    properties: Record<string, any> | undefined
+  ): Record<string, any> | undefined | null {
+    const violations = this.schemas.validate(eventName, properties);
+    if (violations.length === 0) return properties;
+
+    if (this.config?.debug || (typeof __DEV__ !== 'undefined' && __DEV__)) {
+      violations.forEach((violation) => {
+        console.warn(`[DevSkin Mobile] Schema violation in "${eventName}": ${violation.message}`);
+      });
+    }
+    this.notify(this.config?.eventSchemas?.onSchemaViolation, violations);
+
+    switch (this.config?.eventSchemas?.onViolation ?? 'tag') {
+      case 'drop':
+        return null;
+      case 'none':
+        return properties;
+      default:
+        return {
+          ...properties,
+          schema_violation: true,
+          schema_violations: violations.map((violation) => violation.message),
+        };
+    }
+  }
+
+  private queueUserOperation(operation: UserPropertyOperation): void {
+    if (this.isOptedOut) return;
+
+    this.pendingUserOperations.push(operation);
+    this.userTraits = applyUserOperations(this.userTraits, [operation]);
+    this.stateStore?.update({ traits: this.userTraits });
+    this.scheduleUserOperationsFlush();
+  }
+
+  private scheduleUserOperationsFlush(): void {
+    if (!this.initialized || this.userOperationsTimeout || this.pendingUserOperations.length === 0) return;
+
+    // Coalesce operations made in quick succession into one request
+    this.userOperationsTimeout = setTimeout(() => {
+      this.userOperationsTimeout = null;
+      this.flushUserOperations();
+    }, 1000);
+  }
+
+  private flushUserOperations(): void {
+    if (this.userOperationsTimeout) {
+      clearTimeout(this.userOperationsTimeout);
+      this.userOperationsTimeout = null;
+    }
+    if (!this.isReady() || this.pendingUserOperations.length === 0) return;
+
+    const operations = this.pendingUserOperations;
+    this.pendingUserOperations = [];
+
+    // Queued like any other item, so it is persisted while offline
+    this.transport!.sendUserProperties({
+      userId: this.userId || undefined,
+      anonymousId: this.anonymousId!,
+      sessionId: this.sessionId!,
+      operations,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  private getGroupIds(): Record<string, string> | undefined {
+    const groupTypes = Object.keys(this.groups);
+    if (groupTypes.length === 0) return undefined;
+
+    const groupIds: Record<string, string> = {};
+    groupTypes.forEach((groupType) => {
+      groupIds[groupType] = this.groups[groupType]!.groupId;
+    });
+    return groupIds;
+  }
+
+  private getScope(): Scope {
+    return this.scopes[this.scopes.length - 1]!;
+  }
+
+  private stopCollectors(): void {
+    this.errorCollector?.stop();
+    this.networkCollector?.stop();
+    this.performanceCollector?.stop();
+    this.heatmapCollector?.stop();
+    this.recordingCollector?.stop();
+  }
+
   private initializeCollectors(): void {
     if (!this.config || !this.transport) return;
 
     // Error collector
     this.errorCollector = new ErrorCollector(this.config, this.transport);
     this.errorCollector.setSessionId(this.sessionId!);
-    this.errorCollector.setDeviceInfo(this.deviceInfo!);
+    if (this.deviceInfo) {
+      this.errorCollector.setDeviceInfo(this.deviceInfo);
+    }
     this.errorCollector.setAppInfo(this.appInfo!);
-    this.errorCollector.start();
+    if (this.userId) {
+      this.errorCollector.setUserId(this.userId);
+    }
+    this.errorCollector.setErrorListener((crash) => this.sessionStats?.recordError(crash));
 
     // Network collector
     this.networkCollector = new NetworkCollector(this.config, this.transport);
     this.networkCollector.setSessionId(this.sessionId!);
-    this.networkCollector.start();
 
     // Performance collector
     this.performanceCollector = new PerformanceCollector(this.config, this.transport);
     this.performanceCollector.setSessionId(this.sessionId!);
-    this.performanceCollector.start();
 
     // Heatmap collector
     const { width, height } = Dimensions.get('window');
@@ -556,29 +1236,90 @@ class DevSkinMobileSDK {
     this.heatmapCollector.setSessionId(this.sessionId!);
     this.heatmapCollector.setAnonymousId(this.anonymousId!);
     this.heatmapCollector.setScreenDimensions(width, height);
-    this.heatmapCollector.start();
 
     // Recording collector (for session replay)
     this.recordingCollector = new RecordingCollector(this.config, this.transport);
     this.recordingCollector.setSessionId(this.sessionId!);
     this.recordingCollector.setScreenDimensions(width, height);
-    this.recordingCollector.start();
+
+    // Start the collectors the user consented to
+    this.syncCollectors();
+  }
+
+  /**
+   * Start or stop each collector to match consent (all stay stopped while paused or opted out)
+   */
+  private syncCollectors(): void {
+    if (!this.consent) return;
+
+    const toggle = (collector: { start(): void; stop(): void } | null, allowed: boolean) => {
+      if (!collector) return;
+      if (allowed && !this.paused && !this.isOptedOut) {
+        collector.start();
+      } else {
+        collector.stop();
+      }
+    };
+
+    toggle(this.errorCollector, this.consent.crashes);
+    toggle(this.networkCollector, this.consent.network);
+    toggle(this.performanceCollector, this.consent.performance);
+    toggle(this.heatmapCollector, this.consent.heatmaps);
+    toggle(this.recordingCollector, this.consent.replay);
+  }
+
+  private applyConsent(consent: ConsentState, changed: ConsentCategory[], source: 'default' | 'user'): void {
+    this.consent = consent;
+    this.stateStore?.update({ consent });
+
+    // Gate the transport first, so data flushed by stopping collectors is dropped too
+    this.transport?.setConsent(consent);
+    this.syncCollectors();
+    this.syncSession();
+
+    // Audit trail
+    if (!this.isOptedOut) {
+      this.transport?.sendConsent({
+        consent,
+        changed,
+        source,
+        userId: this.userId || undefined,
+        anonymousId: this.anonymousId || undefined,
+        sessionId: this.sessionId || undefined,
+        timestamp: new Date().toISOString(),
+      });
+    }
   }
 
   private async startSession(): Promise<void> {
-    if (!this.transport || !this.sessionId) return;
+    // Nothing about the session is reported while not allowed; syncSession() starts one later
+    if (!this.transport || !this.sessionId || !this.canReportSession()) return;
 
     const platform = this.getPlatform();
     const device = this.deviceInfo;
     const app = this.appInfo;
 
-    // Flatten device/app info into session data for the API's flat schema
-    const sessionData: any = {
+    this.sessionStats = new SessionStats(this.sessionStartTime, this.appState === 'active');
+    this.session = {
       sessionId: this.sessionId,
       userId: this.userId || undefined,
       anonymousId: this.anonymousId!,
-      startedAt: new Date().toISOString(),
+      startedAt: new Date(this.sessionStartTime).toISOString(),
+      platform,
+      device: device || undefined,
+      app: app || undefined,
+      sampling: this.transport.getSampling() || undefined,
+    };
+
+    // Flatten device/app info into session data for the API's flat schema
+    const sessionData: any = {
+      sessionId: this.session.sessionId,
+      userId: this.session.userId,
+      anonymousId: this.session.anonymousId,
+      startedAt: this.session.startedAt,
       platform,
+      // Lets the backend extrapolate from sampled sessions
+      sampling: this.session.sampling,
     };
 
     // Flatten device info
@@ -595,6 +1336,8 @@ class DevSkinMobileSDK {
       }
     }
 
+    this.notify(this.config?.onSessionStart, this.session);
+
     await this.transport.startSession(sessionData);
 
     if (this.config?.debug) {
@@ -602,13 +1345,116 @@ class DevSkinMobileSDK {
     }
   }
 
+  /**
+   * Close the current session at the time of the last user activity
+   */
+  private endSession(): void {
+    if (!this.transport || !this.session || !this.canReportSession()) return;
+
+    // Flows don't carry over into the next session
+    this.flows?.abandonAll('session_end');
+
+    const endedAt = Math.max(this.lastActivityAt, this.sessionStartTime);
+    const summary = this.sessionStats?.summary(endedAt);
+    const endedSession: SessionData = {
+      ...this.session,
+      ...summary,
+      endedAt: new Date(endedAt).toISOString(),
+      durationMs: endedAt - this.sessionStartTime,
+      status: 'ended',
+    };
+    this.session = null;
+    this.sessionStats = null;
+
+    this.transport.updateSession(endedSession.sessionId, {
+      ...summary,
+      endedAt: endedSession.endedAt,
+      durationMs: endedSession.durationMs,
+      status: 'ended',
+    });
+
+    this.notify(this.config?.onSessionEnd, endedSession);
+
+    if (this.config?.debug) {
+      console.log('[DevSkin Mobile] Session ended:', endedSession.sessionId, endedSession.durationMs, 'ms');
+    }
+  }
+
+  /**
+   * End the current session and start a new one, propagating the new ID everywhere
+   */
+  private rotateSession(): void {
+    if (!this.transport) return;
+
+    this.endSession();
+
+    // Buffered heatmap and replay data belongs to the session that just ended
+    this.heatmapCollector?.flush();
+    this.recordingCollector?.flush();
+
+    this.sessionId = this.generateId();
+    this.sessionStartTime = Date.now();
+    this.lastActivityAt = this.sessionStartTime;
+    this.transport.setSessionId(this.sessionId);
+    this.setCollectorsSessionId(this.sessionId);
+
+    this.startSession().catch((error) => {
+      if (this.config?.debug) {
+        console.error('[DevSkin Mobile] Failed to start new session:', error);
+      }
+    });
+  }
+
+  /**
+   * Record user activity, rotating the session first if it timed out
+   */
+  private touchSession(): void {
+    const now = Date.now();
+    if (this.isSessionExpired(now)) {
+      this.rotateSession();
+    }
+    this.lastActivityAt = now;
+  }
+
+  private startSummaryUpdates(): void {
+    const interval = this.config?.sessionTracking?.summaryInterval || 60 * 1000;
+
+    this.summaryInterval = setInterval(() => {
+      if (!this.isReady() || !this.sessionId || !this.sessionStats?.hasChanges()) return;
+      this.transport!.updateSession(this.sessionId, this.sessionStats.summary());
+    }, interval);
+  }
+
+  private isSessionExpired(now: number): boolean {
+    const sessionTimeout = this.config?.sessionTracking?.sessionTimeout || 30 * 60 * 1000;
+    return this.lastActivityAt > 0 && now - this.lastActivityAt > sessionTimeout;
+  }
+
+  private setCollectorsSessionId(sessionId: string): void {
+    this.errorCollector?.setSessionId(sessionId);
+    this.networkCollector?.setSessionId(sessionId);
+    this.performanceCollector?.setSessionId(sessionId);
+    this.heatmapCollector?.setSessionId(sessionId);
+    this.recordingCollector?.setSessionId(sessionId);
+  }
+
+  private notify<T>(callback: ((value: T) => void) | undefined, value: T): void {
+    try {
+      callback?.(value);
+    } catch (error) {
+      if (this.config?.debug) {
+        console.error('[DevSkin Mobile] Callback threw:', error);
+      }
+    }
+  }
+
   private getPlatform(): SessionData['platform'] {
     // In real implementation, detect if running in Expo, bare RN, etc.
     return 'react-native';
   }
 
   private setupAppStateListener(): void {
-    AppState.addEventListener('change', (nextState: AppStateStatus) => {
+    this.appStateSubscription = AppState.addEventListener('change', (nextState: AppStateStatus) => {
       const previousState = this.appState;
       this.appState = nextState;
 
@@ -620,12 +1466,12 @@ class DevSkinMobileSDK {
           level: 'info',
         });
 
-        // Check if session expired
-        // const now = Date.now();
-        // const sessionTimeout = this.config?.sessionTracking?.sessionTimeout || 30 * 60 * 1000;
-        // if (now - this.sessionStartTime > sessionTimeout) {
-        //   // Start new session
-        // }
+        // Start a new session if the app sat in the background past the timeout
+        if (this.isReady()) {
+          this.touchSession();
+        }
+        this.sessionStats?.setForeground(true);
+        this.eventTimers.resume();
       } else if (nextState === 'background') {
         // App went to background
         this.addBreadcrumb({
@@ -634,29 +1480,144 @@ class DevSkinMobileSDK {
           level: 'info',
         });
 
-        // Flush pending events
-        this.flush();
+        // Inactivity is measured from the moment the user left
+        this.lastActivityAt = Date.now();
+        this.sessionStats?.setForeground(false);
+        this.eventTimers.pause();
+
+        // Last-chance delivery before the OS suspends the JS thread
+        this.flushOnBackground();
       }
     });
   }
 
+  private async flushOnBackground(): Promise<void> {
+    if (!this.isReady()) return;
+
+    // Move buffered heatmap, replay and user property data into the transport queue first
+    this.flushUserOperations();
+    this.heatmapCollector?.flush();
+    await this.recordingCollector?.flush();
+    await this.transport?.flushOnBackground(this.sessionId, this.sessionStats?.summary());
+  }
+
   private setupDimensionListener(): void {
-    Dimensions.addEventListener('change', ({ window }) => {
+    this.dimensionSubscription = Dimensions.addEventListener('change', ({ window }) => {
       this.deviceCollector?.updateOrientation();
       this.heatmapCollector?.setScreenDimensions(window.width, window.height);
       this.recordingCollector?.setScreenDimensions(window.width, window.height);
     });
   }
 
-  private getOrCreateAnonymousId(): string {
-    // In real implementation, use AsyncStorage
-    // let id = await AsyncStorage.getItem('devskin_anonymous_id');
-    // if (!id) {
-    //   id = this.generateId();
-    //   await AsyncStorage.setItem('devskin_anonymous_id', id);
-    // }
-    // return id;
-    return this.generateId();
+  private async restoreState(): Promise<void> {
+    this.stateStore = new StateStore(resolveStorage(this.config!.storage), {
+      key: getStorageKey('state', this.config!),
+      debug: this.config!.debug,
+    });
+
+    const state = await this.stateStore.load();
+
+    this.userId = state.userId || null;
+    // Operations queued before init apply on top of the stored properties
+    this.userTraits = applyUserOperations(state.traits || {}, this.pendingUserOperations);
+    this.superProperties = state.superProperties || {};
+    this.transactionIds = state.transactionIds || [];
+    this.groups = state.groups || {};
+    this.isOptedOut = this.pendingOptOut ?? state.optOut ?? false;
+
+    const changes: Partial<PersistedState> = {};
+    if (state.anonymousId) {
+      this.anonymousId = state.anonymousId;
+    } else {
+      this.anonymousId = this.generateId();
+      changes.anonymousId = this.anonymousId;
+    }
+    if (this.pendingOptOut !== null) {
+      changes.optOut = this.pendingOptOut;
+      this.pendingOptOut = null;
+    }
+    if (Object.keys(changes).length > 0) {
+      await this.stateStore.update(changes);
+    }
+
+    // Stored consent wins over config defaults; a first launch records the defaults
+    const defaultConsent = resolveDefaultConsent(this.config!);
+    if (state.consent) {
+      this.consent = mergeConsent(defaultConsent, state.consent);
+      this.transport?.setConsent(this.consent);
+    } else {
+      this.applyConsent(defaultConsent, [...CONSENT_CATEGORIES], 'default');
+    }
+
+    if (this.pendingConsent) {
+      const pending = this.pendingConsent;
+      this.pendingConsent = null;
+      this.setConsent(pending);
+    }
+
+    if (this.config!.debug) {
+      console.log('[DevSkin Mobile] Restored state:', {
+        anonymousId: this.anonymousId,
+        userId: this.userId,
+        optedOut: this.isOptedOut,
+      });
+    }
+  }
+
+  private setOptOut(optedOut: boolean): void {
+    this.isOptedOut = optedOut;
+
+    // Before init there is nowhere to store it yet
+    if (this.stateStore) {
+      this.stateStore.update({ optOut: optedOut });
+    } else {
+      this.pendingOptOut = optedOut;
+    }
+
+    if (!this.initialized) return;
+
+    this.syncCollectors();
+    this.syncSession();
+  }
+
+  /**
+   * Sessions are only reported while opted in with analytics consent: drop the current one
+   * without reporting its end (duration, counts, revenue), or start one once allowed again
+   */
+  private syncSession(): void {
+    if (!this.initialized) return;
+
+    if (!this.canReportSession()) {
+      this.flows?.clear();
+      this.session = null;
+      this.sessionStats = null;
+      return;
+    }
+
+    if (!this.session) {
+      // A fresh ID, so a session reported before is not started twice
+      this.sessionId = this.generateId();
+      this.sessionStartTime = Date.now();
+      this.lastActivityAt = this.sessionStartTime;
+      this.transport?.setSessionId(this.sessionId);
+      this.setCollectorsSessionId(this.sessionId);
+      this.startSession().catch((error) => {
+        if (this.config?.debug) {
+          console.error('[DevSkin Mobile] Failed to start session:', error);
+        }
+      });
+    }
+  }
+
+  private canReportSession(): boolean {
+    return !this.isOptedOut && this.consent?.analytics === true;
+  }
+
+  private releaseInstanceKey(): void {
+    if (this.instanceKey) {
+      liveInstanceKeys.delete(this.instanceKey);
+      this.instanceKey = null;
+    }
   }
 
   private generateId(): string {
@@ -682,4 +1643,30 @@ export { PerformanceCollector } from './collectors/performance';
 export { HeatmapCollector } from './collectors/heatmap';
 export { DeviceCollector } from './collectors/device';
 export { RecordingCollector } from './collectors/recording';
-export { MobileTransport } from './transport';
+export { MobileTransport, TransportError } from './transport';
+export { Scope } from './scope';
+export type { ScopeData } from './scope';
+export type { FlowStepInput, FlowAbandonReason } from './flows';
+export { defineEventSchemas, createTypedTracker } from './eventSchema';
+export type {
+  EventSchema,
+  EventSchemas,
+  PropertySchema,
+  PropertyType,
+  EventProperties,
+  SchemaViolation,
+} from './eventSchema';
+
+// Export storage adapters
+export { MemoryStorage, createMMKVStorage, createAsyncStorage } from './storage';
+export type { StorageAdapter, MMKVLike } from './storage';
+export { createNetInfoConnectivity } from './connectivity';
+export type { ConnectivityAdapter } from './connectivity';
+
+// Export transport adapters
+export {
+  FetchTransportAdapter,
+  MemoryTransportAdapter,
+  ConsoleTransportAdapter,
+} from './transportAdapters';
+export type { TransportAdapter, TransportRequest, TransportResponse } from './transportAdapters';
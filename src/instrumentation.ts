@@ -0,0 +1,348 @@
+/**
+ * DevSkin Mobile SDK Instrumentation Hub
+ * Patches global hooks (fetch, XHR, ErrorUtils, promise rejections, console) once
+ * and fans out to every subscribed SDK instance. Originals are restored when the
+ * last subscriber of a hook goes away.
+ */
+
+export interface FetchInfo {
+  url: string;
+  method: string;
+  startTime: number;
+  durationMs: number;
+  // Clone synchronously in the handler if the body is needed; the app owns the original
+  response?: Response;
+  error?: unknown;
+}
+
+export interface XHRInfo {
+  url: string;
+  method: string;
+  startTime: number;
+  durationMs: number;
+  status: number;
+  statusText: string;
+  failed: boolean;
+}
+
+export interface InstrumentationHandlers {
+  fetch: (info: FetchInfo) => void;
+  xhr: (info: XHRInfo) => void;
+  error: (error: Error, isFatal: boolean) => void;
+  rejection: (id: number, error: unknown) => void;
+  console: (level: ConsoleLevel, args: any[]) => void;
+}
+
+export type InstrumentationChannel = keyof InstrumentationHandlers;
+export type ConsoleLevel = 'warn' | 'error';
+
+const CONSOLE_LEVELS: ConsoleLevel[] = ['warn', 'error'];
+
+interface Patch {
+  install(): void;
+  restore(): void;
+}
+
+const subscribers: { [K in InstrumentationChannel]: Set<InstrumentationHandlers[K]> } = {
+  fetch: new Set(),
+  xhr: new Set(),
+  error: new Set(),
+  rejection: new Set(),
+  console: new Set(),
+};
+
+const patches: Record<InstrumentationChannel, Patch> = {
+  fetch: createFetchPatch(),
+  xhr: createXHRPatch(),
+  error: createErrorPatch(),
+  rejection: createRejectionPatch(),
+  console: createConsolePatch(),
+};
+
+/**
+ * Subscribe to a global hook, patching it on first use. Returns an unsubscribe function.
+ */
+export function subscribe<K extends InstrumentationChannel>(
+  channel: K,
+  handler: InstrumentationHandlers[K]
+): () => void {
+  const handlers = subscribers[channel] as Set<InstrumentationHandlers[K]>;
+  if (handlers.size === 0) {
+    patches[channel].install();
+  }
+  handlers.add(handler);
+
+  return () => {
+    if (!handlers.delete(handler)) return;
+    if (handlers.size === 0) {
+      patches[channel].restore();
+    }
+  };
+}
+
+// A failing subscriber must never break the app's own call
+function dispatch<K extends InstrumentationChannel>(
+  channel: K,
+  ...args: Parameters<InstrumentationHandlers[K]>
+): void {
+  (subscribers[channel] as Set<(...params: any[]) => void>).forEach((handler) => {
+    try {
+      handler(...args);
+    } catch {
+      // Ignore
+    }
+  });
+}
+
+function createFetchPatch(): Patch {
+  let originalFetch: typeof fetch | null = null;
+  let patchedFetch: typeof fetch | null = null;
+
+  return {
+    install() {
+      // Still in place from an earlier subscriber (another library wrapped on top of it)
+      if (patchedFetch) return;
+
+      const original = global.fetch;
+      originalFetch = original;
+
+      patchedFetch = async function (
+        this: any,
+        input: RequestInfo | URL,
+        init?: RequestInit
+      ): Promise<Response> {
+        const url = typeof input === 'string'
+          ? input
+          : input instanceof Request
+            ? input.url
+            : input.toString();
+        const method = (init?.method || 'GET').toUpperCase();
+        const startTime = Date.now();
+
+        try {
+          const response = await original.call(this, input, init);
+          dispatch('fetch', { url, method, startTime, durationMs: Date.now() - startTime, response });
+          return response;
+        } catch (error) {
+          dispatch('fetch', { url, method, startTime, durationMs: Date.now() - startTime, error });
+          throw error;
+        }
+      } as typeof fetch;
+
+      global.fetch = patchedFetch;
+    },
+    restore() {
+      // If something wrapped fetch after us, unwrapping would drop its wrapper too;
+      // leave ours in place - with no subscribers it only passes through
+      if (global.fetch === patchedFetch && originalFetch) {
+        global.fetch = originalFetch;
+        patchedFetch = null;
+        originalFetch = null;
+      }
+    },
+  };
+}
+
+function createXHRPatch(): Patch {
+  let originalOpen: XMLHttpRequest['open'] | null = null;
+  let originalSend: XMLHttpRequest['send'] | null = null;
+  let patchedOpen: XMLHttpRequest['open'] | null = null;
+  let patchedSend: XMLHttpRequest['send'] | null = null;
+
+  return {
+    install() {
+      if (typeof XMLHttpRequest === 'undefined' || patchedOpen) return;
+
+      const open = XMLHttpRequest.prototype.open;
+      const send = XMLHttpRequest.prototype.send;
+      originalOpen = open;
+      originalSend = send;
+
+      patchedOpen = function (
+        this: XMLHttpRequest,
+        method: string,
+        url: string | URL,
+        async?: boolean,
+        username?: string | null,
+        password?: string | null
+      ) {
+        (this as any).__devskin = {
+          method,
+          url: url.toString(),
+          startTime: 0,
+        };
+
+        return open.apply(this, [method, url, async ?? true, username, password] as any);
+      };
+
+      patchedSend = function (this: XMLHttpRequest, body?: any) {
+        const xhr = this;
+        const devskin = (xhr as any).__devskin;
+
+        if (devskin) {
+          devskin.startTime = Date.now();
+
+          const report = (failed: boolean) => {
+            dispatch('xhr', {
+              url: devskin.url,
+              method: devskin.method.toUpperCase(),
+              startTime: devskin.startTime,
+              durationMs: Date.now() - devskin.startTime,
+              status: xhr.status,
+              statusText: xhr.statusText,
+              failed,
+            });
+          };
+
+          xhr.addEventListener('load', () => report(false));
+          xhr.addEventListener('error', () => report(true));
+          xhr.addEventListener('abort', () => report(true));
+          xhr.addEventListener('timeout', () => report(true));
+        }
+
+        return send.call(this, body);
+      };
+
+      XMLHttpRequest.prototype.open = patchedOpen;
+      XMLHttpRequest.prototype.send = patchedSend;
+    },
+    restore() {
+      if (typeof XMLHttpRequest === 'undefined') return;
+
+      const prototype = XMLHttpRequest.prototype;
+      if (prototype.open === patchedOpen && prototype.send === patchedSend && originalOpen && originalSend) {
+        prototype.open = originalOpen;
+        prototype.send = originalSend;
+        patchedOpen = null;
+        patchedSend = null;
+        originalOpen = null;
+        originalSend = null;
+      }
+    },
+  };
+}
+
+function createErrorPatch(): Patch {
+  let originalHandler: ((error: any, isFatal?: boolean) => void) | null = null;
+  let patchedHandler: ((error: any, isFatal?: boolean) => void) | null = null;
+
+  return {
+    install() {
+      if (typeof ErrorUtils === 'undefined' || patchedHandler) return;
+
+      const original = ErrorUtils.getGlobalHandler();
+      originalHandler = original;
+
+      patchedHandler = (error: Error, isFatal?: boolean) => {
+        dispatch('error', error, isFatal ?? false);
+
+        // Call original handler
+        if (original) {
+          original(error, isFatal);
+        }
+      };
+
+      ErrorUtils.setGlobalHandler(patchedHandler);
+    },
+    restore() {
+      if (typeof ErrorUtils === 'undefined') return;
+
+      if (ErrorUtils.getGlobalHandler() === patchedHandler && originalHandler) {
+        ErrorUtils.setGlobalHandler(originalHandler);
+        patchedHandler = null;
+        originalHandler = null;
+      }
+    },
+  };
+}
+
+function createRejectionPatch(): Patch {
+  let tracking: { enable(options: any): void; disable(): void } | null = null;
+  // Options React Native had enabled before us, put back on restore
+  let previous: RejectionTrackingOptions | null = null;
+
+  return {
+    install() {
+      // React Native doesn't have unhandledrejection by default; this is the polyfill it ships with
+      try {
+        tracking = require('promise/setimmediate/rejection-tracking');
+      } catch {
+        tracking = null;
+        return;
+      }
+
+      previous = getReactNativeRejectionTracking();
+      tracking!.enable({
+        allRejections: true,
+        onUnhandled: (id: number, error: unknown) => {
+          dispatch('rejection', id, error);
+          // Keep React Native's development warnings
+          previous?.onUnhandled?.(id, error);
+        },
+        onHandled: (id: number) => {
+          previous?.onHandled?.(id);
+        },
+      });
+    },
+    restore() {
+      if (previous) {
+        tracking?.enable(previous);
+      } else {
+        tracking?.disable();
+      }
+      tracking = null;
+      previous = null;
+    },
+  };
+}
+
+interface RejectionTrackingOptions {
+  allRejections?: boolean;
+  onUnhandled?: (id: number, error: unknown) => void;
+  onHandled?: (id: number) => void;
+}
+
+// React Native enables tracking on the promise polyfill in development builds without Hermes promises
+function getReactNativeRejectionTracking(): RejectionTrackingOptions | null {
+  const hermes = (globalThis as any).HermesInternal;
+  if (typeof __DEV__ === 'undefined' || !__DEV__ || hermes?.hasPromise?.()) {
+    return null;
+  }
+
+  try {
+    return require('react-native/Libraries/promiseRejectionTrackingOptions').default || null;
+  } catch {
+    return null;
+  }
+}
+
+function createConsolePatch(): Patch {
+  const originals: Partial<Record<ConsoleLevel, (...args: any[]) => void>> = {};
+  const patched: Partial<Record<ConsoleLevel, (...args: any[]) => void>> = {};
+
+  return {
+    install() {
+      CONSOLE_LEVELS.forEach((level) => {
+        if (patched[level]) return;
+
+        const original = console[level];
+        originals[level] = original;
+        patched[level] = (...args: any[]) => {
+          // Call original
+          original.apply(console, args);
+          dispatch('console', level, args);
+        };
+        console[level] = patched[level]!;
+      });
+    },
+    restore() {
+      CONSOLE_LEVELS.forEach((level) => {
+        if (console[level] === patched[level] && originals[level]) {
+          console[level] = originals[level]!;
+          delete patched[level];
+          delete originals[level];
+        }
+      });
+    },
+  };
+}
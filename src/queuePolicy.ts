@@ -0,0 +1,69 @@
+/**
+ * DevSkin Mobile SDK Queue Policy
+ * Priority classes and per-type quotas for the transport queue
+ */
+
+import { DevSkinMobileConfig, QueueQuota } from './types';
+import type { QueuedItem } from './transport';
+
+type ItemType = QueuedItem['type'];
+
+// Lower number = more important. Evictions start from the highest number.
+export const ITEM_PRIORITY: Record<ItemType, number> = {
+  error: 0,
+  session: 0,
+  consent: 0,
+  event: 1,
+  user: 1,
+  screen: 1,
+  network: 2,
+  performance: 2,
+  heatmap: 3,
+  recording: 3,
+};
+
+const DEFAULT_QUOTAS: Record<ItemType, Required<QueueQuota>> = {
+  error: { maxItems: 100, eviction: 'drop-oldest' },
+  session: { maxItems: 50, eviction: 'drop-oldest' },
+  consent: { maxItems: 50, eviction: 'drop-oldest' },
+  event: { maxItems: 500, eviction: 'drop-oldest' },
+  user: { maxItems: 100, eviction: 'drop-oldest' },
+  screen: { maxItems: 200, eviction: 'drop-oldest' },
+  network: { maxItems: 200, eviction: 'drop-oldest' },
+  performance: { maxItems: 200, eviction: 'drop-oldest' },
+  heatmap: { maxItems: 300, eviction: 'drop-newest' },
+  recording: { maxItems: 50, eviction: 'drop-oldest' },
+};
+
+export function resolveQuotas(config: DevSkinMobileConfig): Record<ItemType, Required<QueueQuota>> {
+  const quotas = { ...DEFAULT_QUOTAS };
+  const overrides = config.transportOptions?.queueQuotas || {};
+
+  (Object.keys(overrides) as ItemType[]).forEach((type) => {
+    if (quotas[type]) {
+      quotas[type] = { ...quotas[type], ...overrides[type] };
+    }
+  });
+
+  return quotas;
+}
+
+/**
+ * Stable sort by priority, keeping the original order within a priority class
+ */
+export function sortByPriority(items: QueuedItem[]): QueuedItem[] {
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => ITEM_PRIORITY[a.item.type] - ITEM_PRIORITY[b.item.type] || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+/**
+ * Items in the order they should be evicted: lowest priority first, oldest first within a class
+ */
+export function evictionOrder(items: QueuedItem[]): QueuedItem[] {
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => ITEM_PRIORITY[b.item.type] - ITEM_PRIORITY[a.item.type] || a.index - b.index)
+    .map(({ item }) => item);
+}
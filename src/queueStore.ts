@@ -0,0 +1,177 @@
+/**
+ * DevSkin Mobile SDK Offline Queue Store
+ * Persists the transport queue so queued items survive app restarts
+ */
+
+import { StorageAdapter } from './storage';
+import { TransportDiagnosticEvent } from './types';
+import type { QueuedItem } from './transport';
+import { evictionOrder } from './queuePolicy';
+
+const STORAGE_VERSION = 1;
+const SAVE_DEBOUNCE_MS = 1000;
+
+// Final writes of closing stores, by key. Only one store writes a key at a time:
+// a new store for the same key waits for the old one to finish before it loads.
+const closingStores: Map<string, Promise<void>> = new Map();
+
+export interface QueueStoreOptions {
+  key: string;
+  maxSizeBytes: number;
+  maxAgeMs: number;
+  debug?: boolean;
+  onDrop?: (items: QueuedItem[], reason: TransportDiagnosticEvent['reason']) => void;
+}
+
+export class QueueStore {
+  private saveTimeout: ReturnType<typeof setTimeout> | null = null;
+  private writing: Promise<void> = Promise.resolve();
+  // Writes before load() would overwrite items that are still on disk
+  private loaded = false;
+  private closed = false;
+
+  constructor(
+    private storage: StorageAdapter,
+    private options: QueueStoreOptions
+  ) {}
+
+  /**
+   * Load persisted items, oldest first
+   */
+  async load(): Promise<QueuedItem[]> {
+    await closingStores.get(this.options.key);
+    this.loaded = true;
+
+    try {
+      const raw = await this.storage.getItem(this.options.key);
+      if (!raw) return [];
+
+      const parsed = JSON.parse(raw);
+      if (parsed?.version !== STORAGE_VERSION || !Array.isArray(parsed.items)) {
+        return [];
+      }
+
+      const items = this.prune(parsed.items as QueuedItem[]);
+
+      if (this.options.debug) {
+        console.log(`[DevSkin Mobile] Restored ${items.length} queued items from storage`);
+      }
+
+      return items;
+    } catch (error) {
+      if (this.options.debug) {
+        console.error('[DevSkin Mobile] Failed to load offline queue:', error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Persist items after a short delay, coalescing bursts of writes.
+   * The snapshot is taken when the write actually happens.
+   */
+  scheduleSave(getItems: () => QueuedItem[]): void {
+    if (this.saveTimeout || !this.loaded || this.closed) return;
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save(getItems());
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  /**
+   * Persist items immediately (used for crash reports and session updates)
+   */
+  save(items: QueuedItem[]): Promise<void> {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    if (!this.loaded || this.closed) return this.writing;
+
+    const snapshot = [...items];
+
+    // Serialize writes so an older snapshot never overwrites a newer one
+    this.writing = this.writing.then(async () => {
+      try {
+        if (snapshot.length === 0) {
+          await this.storage.removeItem(this.options.key);
+        } else {
+          await this.storage.setItem(
+            this.options.key,
+            JSON.stringify({ version: STORAGE_VERSION, items: snapshot })
+          );
+        }
+      } catch (error) {
+        if (this.options.debug) {
+          console.error('[DevSkin Mobile] Failed to persist offline queue:', error);
+        }
+      }
+    });
+
+    return this.writing;
+  }
+
+  /**
+   * Write the final items once they are known, then stop writing and hand the key over
+   */
+  close(finalItems: Promise<QueuedItem[]>): Promise<void> {
+    const key = this.options.key;
+    const closing: Promise<void> = finalItems
+      .then((items) => this.save(items), () => undefined)
+      .then(() => {
+        this.closed = true;
+        if (closingStores.get(key) === closing) {
+          closingStores.delete(key);
+        }
+      });
+
+    closingStores.set(key, closing);
+    return closing;
+  }
+
+  /**
+   * Drop expired items, then the lowest-priority items until the size cap is met
+   */
+  prune(items: QueuedItem[]): QueuedItem[] {
+    const cutoff = Date.now() - this.options.maxAgeMs;
+    const fresh = items.filter((item) => item.timestamp >= cutoff);
+    if (fresh.length < items.length) {
+      this.options.onDrop?.(items.filter((item) => item.timestamp < cutoff), 'expired');
+    }
+
+    const sizes: Map<QueuedItem, number> = new Map();
+    let totalBytes = 0;
+    fresh.forEach((item) => {
+      const size = this.estimateSize(item);
+      sizes.set(item, size);
+      totalBytes += size;
+    });
+
+    const evicted: Set<QueuedItem> = new Set();
+    for (const item of evictionOrder(fresh)) {
+      if (totalBytes <= this.options.maxSizeBytes) break;
+      evicted.add(item);
+      totalBytes -= sizes.get(item)!;
+    }
+
+    const kept = evicted.size > 0 ? fresh.filter((item) => !evicted.has(item)) : fresh;
+    if (evicted.size > 0) {
+      this.options.onDrop?.([...evicted], 'storage_full');
+    }
+
+    if (this.options.debug && kept.length < items.length) {
+      console.log(`[DevSkin Mobile] Dropped ${items.length - kept.length} items from offline queue`);
+    }
+
+    return kept;
+  }
+
+  private estimateSize(item: QueuedItem): number {
+    try {
+      return JSON.stringify(item).length;
+    } catch {
+      return 0;
+    }
+  }
+}
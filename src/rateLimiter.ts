@@ -0,0 +1,175 @@
+/**
+ * DevSkin Mobile SDK Rate Limiter
+ * Token buckets per event name, per error fingerprint and per session
+ */
+
+import { DevSkinMobileConfig, CrashData } from './types';
+
+// Cap on distinct keys tracked, so a flood of unique event names can't grow memory unbounded
+const MAX_BUCKETS = 200;
+const MAX_DROPPED_NAMES = 20;
+
+export type RateLimitReason = 'event_rate' | 'error_rate' | 'session_rate' | 'session_budget';
+
+export interface DroppedCounts {
+  total: number;
+  byReason: Partial<Record<RateLimitReason, number>>;
+  byName: Record<string, number>;
+}
+
+export class TokenBucket {
+  private tokens: number;
+  private lastRefill: number;
+
+  constructor(
+    private capacity: number,
+    private refillPerSecond: number
+  ) {
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  tryTake(): boolean {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+export class RateLimiter {
+  private eventBuckets: Map<string, TokenBucket> = new Map();
+  private errorBuckets: Map<string, TokenBucket> = new Map();
+  private sessionBucket: TokenBucket;
+  private sessionCount = 0;
+  private dropped: DroppedCounts = { total: 0, byReason: {}, byName: {} };
+  private readonly enabled: boolean;
+  private readonly eventsPerSecond: number;
+  private readonly eventBurst: number;
+  private readonly errorsPerMinute: number;
+  private readonly errorBurst: number;
+  private readonly sessionEventsPerSecond: number;
+  private readonly sessionBurst: number;
+  private readonly maxEventsPerSession: number;
+
+  constructor(config: DevSkinMobileConfig) {
+    const limits = config.rateLimits || {};
+    this.enabled = limits.enabled !== false;
+    this.eventsPerSecond = limits.eventsPerSecond ?? 10;
+    this.eventBurst = limits.eventBurst ?? 50;
+    this.errorsPerMinute = limits.errorsPerMinute ?? 10;
+    this.errorBurst = limits.errorBurst ?? 10;
+    this.sessionEventsPerSecond = limits.sessionEventsPerSecond ?? 50;
+    this.sessionBurst = limits.sessionBurst ?? 200;
+    this.maxEventsPerSession = limits.maxEventsPerSession ?? 10000;
+    this.sessionBucket = new TokenBucket(this.sessionBurst, this.sessionEventsPerSecond);
+  }
+
+  /**
+   * Whether a tracked event may be sent
+   */
+  allowEvent(eventName: string): boolean {
+    if (!this.enabled) return true;
+
+    const bucket = this.getBucket(this.eventBuckets, eventName, this.eventBurst, this.eventsPerSecond);
+    if (!bucket.tryTake()) {
+      this.recordDrop('event_rate', eventName);
+      return false;
+    }
+
+    return this.allowInSession(eventName);
+  }
+
+  /**
+   * Whether an error may be sent; repeats of the same error share a bucket
+   */
+  allowError(error: CrashData): boolean {
+    if (!this.enabled) return true;
+
+    const fingerprint = getErrorFingerprint(error);
+    const bucket = this.getBucket(this.errorBuckets, fingerprint, this.errorBurst, this.errorsPerMinute / 60);
+    if (!bucket.tryTake()) {
+      this.recordDrop('error_rate', `error:${error.message.substring(0, 100)}`);
+      return false;
+    }
+
+    return this.allowInSession(`error:${error.message.substring(0, 100)}`);
+  }
+
+  /**
+   * Start a fresh budget for a new session
+   */
+  resetSession(): void {
+    this.sessionCount = 0;
+    this.sessionBucket = new TokenBucket(this.sessionBurst, this.sessionEventsPerSecond);
+  }
+
+  /**
+   * Return and reset the drop counters, or null if nothing was dropped
+   */
+  takeDropped(): DroppedCounts | null {
+    if (this.dropped.total === 0) return null;
+
+    const dropped = this.dropped;
+    this.dropped = { total: 0, byReason: {}, byName: {} };
+    return dropped;
+  }
+
+  // Private methods
+  private allowInSession(name: string): boolean {
+    if (this.sessionCount >= this.maxEventsPerSession) {
+      this.recordDrop('session_budget', name);
+      return false;
+    }
+    if (!this.sessionBucket.tryTake()) {
+      this.recordDrop('session_rate', name);
+      return false;
+    }
+
+    this.sessionCount++;
+    return true;
+  }
+
+  private getBucket(
+    buckets: Map<string, TokenBucket>,
+    key: string,
+    capacity: number,
+    refillPerSecond: number
+  ): TokenBucket {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      if (buckets.size >= MAX_BUCKETS) {
+        // Forget the oldest key (Map keeps insertion order)
+        buckets.delete(buckets.keys().next().value!);
+      }
+      bucket = new TokenBucket(capacity, refillPerSecond);
+      buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  private recordDrop(reason: RateLimitReason, name: string): void {
+    this.dropped.total++;
+    this.dropped.byReason[reason] = (this.dropped.byReason[reason] || 0) + 1;
+
+    if (name in this.dropped.byName || Object.keys(this.dropped.byName).length < MAX_DROPPED_NAMES) {
+      this.dropped.byName[name] = (this.dropped.byName[name] || 0) + 1;
+    }
+  }
+}
+
+/**
+ * Errors with the same type, message and top stack frame are considered the same
+ */
+export function getErrorFingerprint(error: CrashData): string {
+  // Hermes/V8 frames start with "at ", JSC frames look like "fn@file:line:col"
+  const topFrame = error.stack
+    ?.split('\n')
+    .map((line) => line.trim())
+    .find((line) => line.startsWith('at ') || line.includes('@')) || '';
+  return `${error.type}|${error.message}|${topFrame}`;
+}
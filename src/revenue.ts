@@ -0,0 +1,65 @@
+/**
+ * DevSkin Mobile SDK Revenue
+ * Validation and the canonical event properties for purchases and refunds
+ */
+
+import { RevenueData } from './types';
+
+// Transaction keys remembered for deduplication
+export const MAX_TRANSACTION_IDS = 500;
+
+/**
+ * Return a description of what's wrong with a revenue entry, or null if it is valid
+ */
+export function validateRevenue(revenue: RevenueData): string | null {
+  if (typeof revenue.price !== 'number' || !isFinite(revenue.price) || revenue.price < 0) {
+    return `price must be a non-negative number, got ${revenue.price}`;
+  }
+  if (typeof revenue.currency !== 'string' || !/^[A-Za-z]{3}$/.test(revenue.currency)) {
+    return `currency must be an ISO 4217 code, got ${revenue.currency}`;
+  }
+  if (revenue.quantity !== undefined && (!Number.isInteger(revenue.quantity) || revenue.quantity <= 0)) {
+    return `quantity must be a positive integer, got ${revenue.quantity}`;
+  }
+  if (revenue.productId !== undefined && (typeof revenue.productId !== 'string' || revenue.productId === '')) {
+    return 'productId must be a non-empty string';
+  }
+  if (revenue.transactionId !== undefined && (typeof revenue.transactionId !== 'string' || revenue.transactionId === '')) {
+    return 'transactionId must be a non-empty string';
+  }
+  return null;
+}
+
+/**
+ * Key used to detect duplicates; a refund doesn't collide with its purchase
+ */
+export function getTransactionKey(revenue: RevenueData): string | null {
+  if (!revenue.transactionId) return null;
+  return `${revenue.isRefund ? 'refund' : 'purchase'}:${revenue.transactionId}`;
+}
+
+/**
+ * Signed total of a revenue entry (negative for refunds)
+ */
+export function getRevenueAmount(revenue: RevenueData): number {
+  const amount = revenue.price * (revenue.quantity ?? 1);
+  return revenue.isRefund ? -amount : amount;
+}
+
+/**
+ * Event properties with the same names for every team
+ */
+export function toRevenueProperties(revenue: RevenueData): Record<string, any> {
+  return {
+    ...revenue.properties,
+    product_id: revenue.productId,
+    quantity: revenue.quantity ?? 1,
+    price: revenue.price,
+    currency: revenue.currency.toUpperCase(),
+    revenue: getRevenueAmount(revenue),
+    revenue_type: revenue.revenueType,
+    store: revenue.store,
+    transaction_id: revenue.transactionId,
+    is_refund: revenue.isRefund === true,
+  };
+}
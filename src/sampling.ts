@@ -0,0 +1,67 @@
+/**
+ * DevSkin Mobile SDK Sampling
+ * Per-session sampling decisions derived from the session ID
+ */
+
+import { DevSkinMobileConfig, QueueItemType, SamplingDecision } from './types';
+
+/**
+ * Decide which data a session keeps. The same session ID always yields the same decision,
+ * so every collector (and a restarted app resuming queued items) agrees on it.
+ */
+export function decideSampling(sessionId: string, config: DevSkinMobileConfig): SamplingDecision {
+  const sessionSampleRate = clampRate(config.sessionSampleRate);
+  const replaySampleRate = clampRate(config.replaySampleRate);
+  const errorSampleRate = clampRate(config.errorSampleRate);
+  const heatmapSampleRate = clampRate(config.heatmapOptions?.touchSampling);
+
+  const sampled = hashToUnit(`session:${sessionId}`) < sessionSampleRate;
+
+  return {
+    sessionSampleRate,
+    replaySampleRate,
+    errorSampleRate,
+    heatmapSampleRate,
+    sampled,
+    // Replays and heatmaps are a subset of the sampled sessions
+    replaySampled: sampled && hashToUnit(`replay:${sessionId}`) < replaySampleRate,
+    heatmapSampled: sampled && hashToUnit(`heatmap:${sessionId}`) < heatmapSampleRate,
+    // Errors are sampled on their own so unsampled sessions still report crashes
+    errorSampled: hashToUnit(`error:${sessionId}`) < errorSampleRate,
+  };
+}
+
+/**
+ * Whether items of a given type are kept under a sampling decision
+ */
+export function isTypeSampled(decision: SamplingDecision, type: QueueItemType): boolean {
+  switch (type) {
+    case 'error':
+      return decision.errorSampled;
+    case 'recording':
+      return decision.replaySampled;
+    case 'heatmap':
+      return decision.heatmapSampled;
+    case 'user':
+    case 'consent':
+      // User properties and consent records describe the person, not the session
+      return true;
+    default:
+      return decision.sampled;
+  }
+}
+
+// FNV-1a, mapped to [0, 1)
+function hashToUnit(value: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+function clampRate(rate: number | undefined): number {
+  if (typeof rate !== 'number' || isNaN(rate)) return 1;
+  return Math.min(1, Math.max(0, rate));
+}
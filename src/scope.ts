@@ -0,0 +1,106 @@
+/**
+ * DevSkin Mobile SDK Scope
+ * Tags, extras and named contexts attached to events, errors, network requests and metrics
+ */
+
+import type { QueueItemType } from './types';
+
+export interface ScopeData {
+  tags: Record<string, string>;
+  extra: Record<string, any>;
+  contexts: Record<string, Record<string, any>>;
+}
+
+export class Scope {
+  private tags: Record<string, string> = {};
+  private extra: Record<string, any> = {};
+  private contexts: Record<string, Record<string, any>> = {};
+
+  /**
+   * Set a tag - short, indexed values to slice data by (feature flag, tenant, build flavor)
+   */
+  setTag(key: string, value: string | number | boolean): this {
+    this.tags = { ...this.tags, [key]: String(value) };
+    return this;
+  }
+
+  /**
+   * Set several tags at once
+   */
+  setTags(tags: Record<string, string | number | boolean>): this {
+    Object.keys(tags).forEach((key) => this.setTag(key, tags[key]!));
+    return this;
+  }
+
+  /**
+   * Set arbitrary extra data (not indexed)
+   */
+  setExtra(key: string, value: any): this {
+    this.extra = { ...this.extra, [key]: value };
+    return this;
+  }
+
+  /**
+   * Set a named context object, or remove it with null
+   */
+  setContext(name: string, context: Record<string, any> | null): this {
+    const contexts = { ...this.contexts };
+    if (context) {
+      contexts[name] = { ...context };
+    } else {
+      delete contexts[name];
+    }
+    this.contexts = contexts;
+    return this;
+  }
+
+  clear(): this {
+    this.tags = {};
+    this.extra = {};
+    this.contexts = {};
+    return this;
+  }
+
+  clone(): Scope {
+    const scope = new Scope();
+    scope.tags = this.tags;
+    scope.extra = this.extra;
+    scope.contexts = this.contexts;
+    return scope;
+  }
+
+  getData(): ScopeData {
+    return { tags: this.tags, extra: this.extra, contexts: this.contexts };
+  }
+}
+
+/**
+ * Merge scope data into an outgoing item. Values already on the item win.
+ * Errors carry extras and contexts in CrashData.context; other types get tags/extra/contexts fields.
+ */
+export function applyScope(type: QueueItemType, data: any, scope: ScopeData | null): any {
+  if (!scope || isEmpty(scope)) return data;
+
+  const tags = { ...scope.tags, ...data.tags };
+
+  if (type === 'error') {
+    return {
+      ...data,
+      tags,
+      context: { ...scope.contexts, ...scope.extra, ...data.context },
+    };
+  }
+
+  return {
+    ...data,
+    tags,
+    extra: { ...scope.extra, ...data.extra },
+    contexts: { ...scope.contexts, ...data.contexts },
+  };
+}
+
+function isEmpty(scope: ScopeData): boolean {
+  return Object.keys(scope.tags).length === 0
+    && Object.keys(scope.extra).length === 0
+    && Object.keys(scope.contexts).length === 0;
+}
@@ -0,0 +1,111 @@
+/**
+ * DevSkin Mobile SDK Session Stats
+ * Live per-session counters sent with session updates
+ */
+
+import { CrashData, SessionData } from './types';
+
+export type SessionSummary = Pick<
+  SessionData,
+  | 'durationMs'
+  | 'foregroundMs'
+  | 'screenViewCount'
+  | 'eventCount'
+  | 'errorCount'
+  | 'crashed'
+  | 'hadAnr'
+  | 'purchaseCount'
+  | 'revenue'
+>;
+
+export class SessionStats {
+  private screenViewCount = 0;
+  private eventCount = 0;
+  private errorCount = 0;
+  private crashed = false;
+  private hadAnr = false;
+  private purchaseCount = 0;
+  private revenue: Record<string, number> = {};
+  private foregroundMs = 0;
+  private foregroundSince: number | null;
+  // Bumped on every change, so periodic updates can skip idle sessions
+  private version = 0;
+  private reportedVersion = -1;
+
+  constructor(
+    private startedAt: number,
+    isForeground: boolean
+  ) {
+    this.foregroundSince = isForeground ? startedAt : null;
+  }
+
+  recordScreenView(): void {
+    this.screenViewCount++;
+    this.version++;
+  }
+
+  recordEvent(): void {
+    this.eventCount++;
+    this.version++;
+  }
+
+  recordError(crash: CrashData): void {
+    this.errorCount++;
+    if (crash.type === 'anr') {
+      this.hadAnr = true;
+    }
+    if (crash.isFatal || crash.type === 'native' || crash.type === 'oom') {
+      this.crashed = true;
+    }
+    this.version++;
+  }
+
+  /**
+   * Add a purchase (positive amount) or refund (negative amount)
+   */
+  recordRevenue(amount: number, currency: string): void {
+    if (amount >= 0) {
+      this.purchaseCount++;
+    }
+    this.revenue = { ...this.revenue, [currency]: (this.revenue[currency] || 0) + amount };
+    this.version++;
+  }
+
+  setForeground(isForeground: boolean, now: number = Date.now()): void {
+    if (isForeground && this.foregroundSince === null) {
+      this.foregroundSince = now;
+    } else if (!isForeground && this.foregroundSince !== null) {
+      this.foregroundMs += now - this.foregroundSince;
+      this.foregroundSince = null;
+    }
+    this.version++;
+  }
+
+  /**
+   * Whether anything changed since the last summary was taken
+   */
+  hasChanges(): boolean {
+    return this.version !== this.reportedVersion;
+  }
+
+  /**
+   * Current counters; duration is total wall time, foregroundMs the part spent in the foreground
+   */
+  summary(now: number = Date.now()): SessionSummary {
+    this.reportedVersion = this.version;
+
+    const openForeground = this.foregroundSince !== null ? Math.max(0, now - this.foregroundSince) : 0;
+
+    return {
+      durationMs: Math.max(0, now - this.startedAt),
+      foregroundMs: this.foregroundMs + openForeground,
+      screenViewCount: this.screenViewCount,
+      eventCount: this.eventCount,
+      errorCount: this.errorCount,
+      crashed: this.crashed,
+      hadAnr: this.hadAnr,
+      purchaseCount: this.purchaseCount,
+      revenue: { ...this.revenue },
+    };
+  }
+}
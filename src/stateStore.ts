@@ -0,0 +1,78 @@
+/**
+ * DevSkin Mobile SDK State Store
+ * Persists identity and preferences (anonymous ID, user, groups, super properties,
+ * opt-out, consent) across app launches
+ */
+
+import { StorageAdapter } from './storage';
+import { ConsentState } from './types';
+
+const STORAGE_VERSION = 1;
+
+export interface PersistedState {
+  anonymousId?: string;
+  userId?: string | null;
+  traits?: Record<string, any>;
+  optOut?: boolean;
+  superProperties?: Record<string, any>;
+  // groupType -> group
+  groups?: Record<string, { groupId: string; traits?: Record<string, any> }>;
+  // Most recent revenue transaction keys, for deduplication
+  transactionIds?: string[];
+  consent?: ConsentState;
+}
+
+export interface StateStoreOptions {
+  key: string;
+  debug?: boolean;
+}
+
+export class StateStore {
+  private state: PersistedState = {};
+  private writing: Promise<void> = Promise.resolve();
+
+  constructor(
+    private storage: StorageAdapter,
+    private options: StateStoreOptions
+  ) {}
+
+  /**
+   * Load the persisted state; a missing or unreadable entry yields an empty state
+   */
+  async load(): Promise<PersistedState> {
+    try {
+      const raw = await this.storage.getItem(this.options.key);
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed?.version === STORAGE_VERSION && parsed.state && typeof parsed.state === 'object') {
+        this.state = parsed.state;
+      }
+    } catch (error) {
+      if (this.options.debug) {
+        console.error('[DevSkin Mobile] Failed to load persisted state:', error);
+      }
+    }
+
+    return { ...this.state };
+  }
+
+  /**
+   * Merge changes into the persisted state and write it out
+   */
+  update(changes: Partial<PersistedState>): Promise<void> {
+    this.state = { ...this.state, ...changes };
+    const snapshot = JSON.stringify({ version: STORAGE_VERSION, state: this.state });
+
+    // Serialize writes so an older snapshot never overwrites a newer one
+    this.writing = this.writing.then(async () => {
+      try {
+        await this.storage.setItem(this.options.key, snapshot);
+      } catch (error) {
+        if (this.options.debug) {
+          console.error('[DevSkin Mobile] Failed to persist state:', error);
+        }
+      }
+    });
+
+    return this.writing;
+  }
+}
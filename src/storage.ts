@@ -0,0 +1,96 @@
+/**
+ * DevSkin Mobile SDK Storage Layer
+ * Pluggable key/value storage used to persist SDK state across app restarts
+ */
+
+export interface StorageAdapter {
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+/**
+ * In-memory storage - nothing survives a restart.
+ * Used as a fallback when no persistent storage is installed, and in tests.
+ */
+export class MemoryStorage implements StorageAdapter {
+  private items: Map<string, string> = new Map();
+
+  async getItem(key: string): Promise<string | null> {
+    return this.items.has(key) ? this.items.get(key)! : null;
+  }
+
+  async setItem(key: string, value: string): Promise<void> {
+    this.items.set(key, value);
+  }
+
+  async removeItem(key: string): Promise<void> {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Minimal shape of a react-native-mmkv instance
+ */
+export interface MMKVLike {
+  getString(key: string): string | undefined;
+  set(key: string, value: string): void;
+  delete(key: string): void;
+}
+
+/**
+ * Wrap a react-native-mmkv instance
+ *
+ * @example
+ * import { MMKV } from 'react-native-mmkv';
+ *
+ * DevSkin.init({ ..., storage: createMMKVStorage(new MMKV({ id: 'devskin' })) });
+ */
+export function createMMKVStorage(mmkv: MMKVLike): StorageAdapter {
+  return {
+    async getItem(key) {
+      return mmkv.getString(key) ?? null;
+    },
+    async setItem(key, value) {
+      mmkv.set(key, value);
+    },
+    async removeItem(key) {
+      mmkv.delete(key);
+    },
+  };
+}
+
+/**
+ * Key under which an instance persists one kind of data
+ */
+export function getStorageKey(kind: 'queue' | 'state', config: { appId: string; instanceName?: string }): string {
+  const namespace = config.instanceName ? `${config.appId}:${config.instanceName}` : config.appId;
+  return `@devskin/${kind}:${namespace}`;
+}
+
+/**
+ * Use @react-native-async-storage/async-storage if it is installed
+ */
+export function createAsyncStorage(): StorageAdapter | null {
+  try {
+    const module = require('@react-native-async-storage/async-storage');
+    const asyncStorage = module?.default ?? module;
+    if (!asyncStorage || typeof asyncStorage.getItem !== 'function') {
+      return null;
+    }
+    return {
+      getItem: (key) => asyncStorage.getItem(key),
+      setItem: (key, value) => asyncStorage.setItem(key, value),
+      removeItem: (key) => asyncStorage.removeItem(key),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the storage to use: configured adapter, then AsyncStorage, then memory
+ */
+export function resolveStorage(storage?: StorageAdapter): StorageAdapter {
+  return storage || createAsyncStorage() || new MemoryStorage();
+}
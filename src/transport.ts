@@ -15,48 +15,276 @@ import {
   ScrollData,
   ScreenViewData,
   ScreenshotData,
+  TransportDiagnosticEvent,
+  TransportDiagnostics,
+  BeforeSendItemType,
+  QueueItemType,
+  QueueQuota,
+  SamplingDecision,
+  GroupData,
+  AliasData,
+  UserPropertiesData,
+  ConsentState,
+  ConsentRecord,
 } from './types';
+import { resolveStorage, getStorageKey } from './storage';
+import { QueueStore } from './queueStore';
+import { createNetInfoConnectivity } from './connectivity';
+import { EndpointBackoff, parseRetryAfter } from './backoff';
+import { splitIntoChunks } from './envelope';
+import { compress, CompressionEncoding } from './compression';
+import { runBeforeSend, applyBeforeSend } from './beforeSend';
+import { TransportAdapter, TransportResponse, FetchTransportAdapter } from './transportAdapters';
+import { resolveQuotas, sortByPriority, evictionOrder } from './queuePolicy';
+import { RateLimiter } from './rateLimiter';
+import { ServerClock } from './clock';
+import { decideSampling, isTypeSampled } from './sampling';
+import { applyScope, ScopeData } from './scope';
+import { getDeniedItemTypes } from './consent';
 
-interface QueuedItem {
-  type: 'event' | 'session' | 'error' | 'network' | 'performance' | 'heatmap' | 'screen';
+// Item types that carry tags, extras and contexts
+const SCOPED_TYPES: QueueItemType[] = ['event', 'error', 'network', 'performance'];
+
+// How long destroy() waits for a last delivery before persisting and handing the queue over
+const DESTROY_TIMEOUT_MS = 2000;
+
+// 4xx statuses that may succeed later; every other 4xx is a permanent rejection
+const RETRYABLE_CLIENT_STATUSES = [408, 425, 429];
+
+/**
+ * Error thrown when a request to the backend fails
+ */
+export class TransportError extends Error {
+  // Backoff applied to the endpoint after this failure
+  retryInMs?: number;
+
+  constructor(
+    message: string,
+    public readonly status?: number,
+    public readonly retryAfterMs?: number
+  ) {
+    super(message);
+    this.name = 'TransportError';
+  }
+
+  /**
+   * Network failures, 5xx and throttling can be retried; other 4xx never succeed
+   */
+  get retryable(): boolean {
+    if (this.status === undefined || this.status >= 500) return true;
+    return RETRYABLE_CLIENT_STATUSES.includes(this.status);
+  }
+}
+
+export interface QueuedItem {
+  type: QueueItemType;
   data: any;
   timestamp: number;
   retryCount: number;
+  // Explicit target for items that don't use the default endpoint for their type
+  endpoint?: string;
+  method?: 'POST' | 'PUT';
+}
+
+// Batch endpoint answers from backends that predate it
+const BATCH_UNSUPPORTED_STATUSES = [404, 405];
+// Permanent failures that concern the whole request rather than one of its items
+const REQUEST_LEVEL_STATUSES = [401, 403];
+
+// A failed send and the endpoint the request actually went to
+interface SendFailure {
+  error: unknown;
+  endpoint: string;
 }
 
 export class MobileTransport {
   private queue: QueuedItem[] = [];
+  // Items taken off the queue by the flush in progress, or being sent directly
+  private inFlight: Set<QueuedItem> = new Set();
+  // Direct sends still running their beforeSend hooks or request
+  private pendingSends: Set<Promise<void>> = new Set();
   private flushInterval: ReturnType<typeof setInterval> | null = null;
   private readonly maxQueueSize = 30;
+  private readonly maxQueueItems: number;
+  private readonly quotas: Record<QueueItemType, Required<QueueQuota>>;
   private readonly flushIntervalMs = 5000; // 5 seconds
-  private readonly maxRetries = 3;
+  private readonly maxRetries: number;
+  private batchMode: boolean;
+  private readonly batchEndpoint: string;
+  private readonly maxPayloadBytes: number;
+  private readonly compression: CompressionEncoding | null;
+  private readonly compressionThreshold: number;
   private readonly apiUrl: string;
   private sessionId: string | null = null;
-  private _isOnline: boolean = true;
-  private _offlineQueue: QueuedItem[] = [];
+  private sampling: SamplingDecision | null = null;
+  private getScope: (() => ScopeData | null) | null = null;
+  // Item types the user has not consented to
+  private deniedTypes: Set<QueueItemType> = new Set();
+  private online: boolean = true;
+  private connectivityListeners: Set<(isOnline: boolean) => void> = new Set();
+  private unsubscribeConnectivity: (() => void) | null = null;
+  private store: QueueStore | null = null;
+  private flushing: Promise<void> | null = null;
+  private flushRequested = false;
+  private backoff: EndpointBackoff;
+  private adapter: TransportAdapter;
+  private rateLimiter: RateLimiter;
+  private clock: ServerClock = new ServerClock();
+  private readonly clockSyncEnabled: boolean;
+  private diagnostics: TransportDiagnostics = { retried: 0, dropped: 0, droppedByReason: {} };
 
   constructor(private config: DevSkinMobileConfig) {
     this.apiUrl = config.apiUrl || 'https://api-monitoring.devskin.com';
+    this.adapter = config.transportAdapter || new FetchTransportAdapter();
+    this.rateLimiter = new RateLimiter(config);
+    this.clockSyncEnabled = config.clockSync?.enabled !== false;
+    this.maxRetries = config.transportOptions?.maxRetries ?? 3;
+    this.maxQueueItems = config.transportOptions?.maxQueueItems ?? 1000;
+    this.quotas = resolveQuotas(config);
+    this.batchMode = config.transportOptions?.mode !== 'legacy';
+    this.batchEndpoint = config.transportOptions?.batchEndpoint || '/v1/sdk/batch';
+    this.maxPayloadBytes = config.transportOptions?.maxPayloadBytes ?? 256 * 1024; // 256KB
+    const compression = config.transportOptions?.compression;
+    this.compression = compression === 'gzip' || compression === 'deflate' ? compression : null;
+    this.compressionThreshold = config.transportOptions?.compressionThreshold ?? 1024; // 1KB
+    this.backoff = new EndpointBackoff({
+      baseDelayMs: config.transportOptions?.retryBaseDelayMs ?? 1000,
+      maxDelayMs: config.transportOptions?.retryMaxDelayMs ?? 5 * 60 * 1000, // 5 minutes
+    });
+
+    if (config.offlineQueue?.enabled !== false) {
+      this.store = new QueueStore(resolveStorage(config.storage), {
+        key: getStorageKey('queue', config),
+        maxSizeBytes: config.offlineQueue?.maxSizeBytes ?? 1024 * 1024, // 1MB
+        maxAgeMs: config.offlineQueue?.maxAgeMs ?? 24 * 60 * 60 * 1000, // 24 hours
+        debug: config.debug,
+        onDrop: (items, reason) => this.reportDropped(items, reason),
+      });
+    }
+
     this.startPeriodicFlush();
     this.setupNetworkListener();
   }
 
+  /**
+   * Restore items persisted by a previous app launch
+   */
+  async init(): Promise<void> {
+    // Don't hold up init on the time endpoint
+    if (this.clockSyncEnabled && this.config.clockSync?.timeEndpoint) {
+      this.syncClock(this.config.clockSync.timeEndpoint);
+    }
+
+    if (!this.store) return;
+
+    // Consent is restored before the queue, and may have changed since these were stored
+    const restored = this.dropRevoked(await this.store.load());
+    if (restored.length === 0 && this.queue.length === 0) return;
+
+    // Restored items are older than anything queued since launch
+    this.queue = [...restored, ...this.queue];
+    this.persistQueue();
+    this.flush();
+  }
+
   setSessionId(sessionId: string): void {
+    if (sessionId !== this.sessionId) {
+      this.rateLimiter.resetSession();
+      this.sampling = decideSampling(sessionId, this.config);
+    }
     this.sessionId = sessionId;
   }
 
+  /**
+   * Source of the tags/extras/contexts merged into events, errors, network requests and metrics
+   */
+  setScopeProvider(getScope: (() => ScopeData | null) | null): void {
+    this.getScope = getScope;
+  }
+
+  /**
+   * Apply consent: denied item types are no longer accepted and queued ones are purged
+   */
+  setConsent(consent: ConsentState): void {
+    this.deniedTypes = new Set(getDeniedItemTypes(consent));
+    if (this.deniedTypes.size === 0) return;
+
+    const queued = this.queue.length;
+    this.queue = this.dropRevoked(this.queue);
+    if (this.queue.length === queued) return;
+
+    this.persistQueue(true);
+
+    if (this.config.debug) {
+      console.log(`[DevSkin Mobile] Purged ${queued - this.queue.length} queued items after consent change`);
+    }
+  }
+
+  /**
+   * Sampling decision for the current session
+   */
+  getSampling(): SamplingDecision | null {
+    return this.sampling;
+  }
+
+  /**
+   * Whether the device can currently reach the network
+   */
+  isOnline(): boolean {
+    return this.online;
+  }
+
+  /**
+   * Estimated server time minus device time in ms, or null if unknown or negligible
+   */
+  getClockOffset(): number | null {
+    return this.clock.getOffset();
+  }
+
+  /**
+   * Current time corrected to server time
+   */
+  now(): number {
+    return this.clock.now();
+  }
+
+  /**
+   * Running totals of retried and dropped items
+   */
+  getDiagnostics(): TransportDiagnostics {
+    return {
+      ...this.diagnostics,
+      droppedByReason: { ...this.diagnostics.droppedByReason },
+    };
+  }
+
+  /**
+   * Listen for reachability changes, returns an unsubscribe function
+   */
+  onConnectivityChange(listener: (isOnline: boolean) => void): () => void {
+    this.connectivityListeners.add(listener);
+    return () => {
+      this.connectivityListeners.delete(listener);
+    };
+  }
+
   // Session endpoints
   async startSession(session: SessionData): Promise<void> {
-    await this.sendToBackend('/v1/rum/sessions', session);
+    if (!this.shouldCollect('session')) return;
+    await this.sendHooked('session', 'session', '/v1/rum/sessions', session);
   }
 
   async updateSession(sessionId: string, data: Partial<SessionData>): Promise<void> {
-    await this.sendToBackend(`/v1/rum/sessions/${sessionId}`, data, 'PUT');
+    if (!this.shouldCollect('session')) return;
+    await this.sendHooked('session', 'session', `/v1/rum/sessions/${sessionId}`, data, 'PUT');
   }
 
-  // Event endpoints
-  sendEvent(event: EventData): void {
+  // Event endpoints, returns false when consent, sampling or the rate limit drops the event
+  sendEvent(event: EventData): boolean {
+    if (!this.shouldCollect('event')) return false;
+    if (!this.rateLimiter.allowEvent(event.eventName)) return false;
     this.enqueue('event', event);
+    return true;
   }
 
   async sendEventBatch(events: EventData[]): Promise<void> {
@@ -65,7 +293,30 @@ export class MobileTransport {
 
   // User identification
   async identifyUser(user: UserData): Promise<void> {
-    await this.sendToBackend('/v1/analytics/identify', user);
+    if (!this.shouldCollect('user')) return;
+    await this.sendHooked('user', 'user', '/v1/analytics/identify', user);
+  }
+
+  // Consent audit trail
+  sendConsent(record: ConsentRecord): void {
+    this.enqueue('consent', record);
+  }
+
+  // User property operations, batched by the SDK
+  sendUserProperties(data: UserPropertiesData): void {
+    this.enqueue('user', data);
+  }
+
+  // Group (account/organization) identification
+  async identifyGroup(group: GroupData): Promise<void> {
+    if (!this.shouldCollect('user')) return;
+    await this.sendHooked('group', 'event', '/v1/analytics/group', group);
+  }
+
+  // Merge a previous ID's history into a user
+  async alias(alias: AliasData): Promise<void> {
+    if (!this.shouldCollect('user')) return;
+    await this.sendHooked('alias', 'event', '/v1/analytics/alias', alias);
   }
 
   // Screen view
@@ -75,11 +326,10 @@ export class MobileTransport {
 
   // Error/Crash endpoints
   sendError(error: CrashData): void {
-    // Errors are sent immediately due to potential crash
-    this.sendToBackend('/v1/errors/errors', error).catch(() => {
-      // On failure, queue for retry
-      this.enqueue('error', error);
-    });
+    // Errors are written to disk and sent immediately due to potential crash
+    if (!this.shouldCollect('error')) return;
+    if (!this.rateLimiter.allowError(error)) return;
+    this.enqueue('error', error);
   }
 
   // Network request tracking
@@ -108,54 +358,335 @@ export class MobileTransport {
 
   // Screenshot
   async sendScreenshot(screenshot: ScreenshotData): Promise<void> {
+    // Screenshots only serve heatmaps
+    if (!this.shouldCollect('heatmap')) return;
+
+    const processed: ScreenshotData | null = await applyBeforeSend(this.config, 'screenshot', screenshot);
+    if (!processed) return;
+
     // Screenshots are sent immediately, not queued
     await this.sendToBackend('/v1/sdk/screenshot', {
       screenshot: {
-        session_id: screenshot.sessionId,
-        page_url: screenshot.screenName,
-        screenshot: screenshot.screenshot,
-        width: screenshot.width,
-        height: screenshot.height,
-        timestamp: screenshot.timestamp,
+        session_id: processed.sessionId,
+        page_url: processed.screenName,
+        screenshot: processed.screenshot,
+        width: processed.width,
+        height: processed.height,
+        timestamp: processed.timestamp,
       },
     });
   }
 
   // Recording events (for session replay)
   async sendRecordingEvents(events: any[]): Promise<void> {
-    if (events.length === 0) return;
+    if (events.length === 0 || !this.shouldCollect('recording')) return;
 
-    await this.sendToBackend('/v1/rum/recordings', {
-      session_id: this.sessionId,
-      events,
+    // Captured before any await so the events stay with the session they were recorded in
+    const sessionId = this.sessionId;
+    const processed = (
+      await Promise.all(events.map((event) => applyBeforeSend(this.config, 'recording', event)))
+    ).filter(Boolean);
+    if (processed.length === 0) return;
+
+    // Queued at the lowest priority so replay data never crowds out errors
+    this.pushItem('recording', {
+      session_id: sessionId,
+      sessionId,
+      events: processed,
       timestamp: new Date().toISOString(),
     });
   }
 
   // Manual flush
   async flush(): Promise<void> {
-    if (this.queue.length === 0) return;
+    // Only one flush at a time; a flush requested meanwhile runs right after
+    if (this.flushing) {
+      this.flushRequested = true;
+      return this.flushing;
+    }
+
+    this.flushing = this.doFlush();
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+
+    if (this.flushRequested) {
+      this.flushRequested = false;
+      await this.flush();
+    }
+  }
+
+  /**
+   * Last-chance delivery when the app goes to the background.
+   * Everything is persisted first, then the most important items go out in a single request
+   * before the OS suspends the JS thread. Whatever doesn't fit stays on disk for next launch.
+   */
+  async flushOnBackground(sessionId?: string | null, summary?: Partial<SessionData>): Promise<void> {
+    // Marker so the backend can compute session durations without waiting for a timeout
+    const marker = sessionId && this.shouldCollect('session')
+      ? await applyBeforeSend(this.config, 'session', {
+        ...summary,
+        sessionId,
+        status: 'paused',
+        pausedAt: new Date().toISOString(),
+      })
+      : null;
+    if (marker) {
+      this.queue.push({
+        type: 'session',
+        data: marker,
+        timestamp: Date.now(),
+        retryCount: 0,
+        endpoint: `/v1/rum/sessions/${sessionId}`,
+        method: 'PUT',
+      });
+    }
+
+    // Persist before anything else: we may be suspended at any await below
+    await this.persistQueue(true);
+
+    if (!this.online || this.queue.length === 0) return;
+
+    if (!this.batchMode) {
+      await this.flush();
+      return;
+    }
+
+    if (!this.backoff.canSend(this.batchEndpoint)) return;
+
+    const [chunk] = splitIntoChunks(sortByPriority(this.queue), this.maxPayloadBytes);
+    if (!chunk) return;
+
+    const sending = new Set(chunk.items);
+    this.queue = this.queue.filter((item) => !sending.has(item));
+    chunk.items.forEach((item) => this.inFlight.add(item));
+
+    let retries: QueuedItem[] = [];
+    let fallback = false;
+    try {
+      await this.sendToBackend(this.batchEndpoint, {
+        sessionId: this.sessionId,
+        platform: 'mobile',
+        sentAt: new Date().toISOString(),
+        background: true,
+        items: chunk.envelopeItems,
+      });
+    } catch (error) {
+      const failed = this.dropRevoked(chunk.items);
+      if (this.isBatchUnsupported(error)) {
+        this.disableBatchMode();
+        fallback = true;
+        retries = failed;
+      } else if (this.isItemRejection(error) && failed.length > 1) {
+        // Kept as is; the next flush splits it to find the culprit
+        retries = failed;
+      } else {
+        retries = failed.flatMap((item) => {
+          const retry = this.handleFailure(item, error, this.batchEndpoint);
+          return retry ? [retry] : [];
+        });
+      }
+    }
+
+    chunk.items.forEach((item) => this.inFlight.delete(item));
+    this.queue = [...retries, ...this.queue];
+    await this.persistQueue(true);
+
+    if (fallback) {
+      await this.flush();
+      return;
+    }
+
+    if (this.config.debug) {
+      console.log(`[DevSkin Mobile] Background flush sent ${chunk.items.length - retries.length} items, ${this.queue.length} persisted`);
+    }
+  }
+
+  /**
+   * Stop, try a last delivery for a short while and persist everything not yet delivered,
+   * in flight included. A new transport for the same app waits for this before loading
+   * the stored queue, but never for the network.
+   */
+  destroy(): Promise<void> {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+    this.unsubscribeConnectivity?.();
+    this.unsubscribeConnectivity = null;
+    this.connectivityListeners.clear();
+
+    // Pending direct sends (such as the session end) first, so failures land in the queue
+    const delivered = withTimeout(
+      Promise.all(this.pendingSends).then(() => this.flush()).catch(() => undefined),
+      DESTROY_TIMEOUT_MS
+    );
+    if (!this.store) return delivered;
+
+    const store = this.store;
+    return store.close(delivered.then(() => {
+      this.queue = store.prune(this.queue);
+      return [...this.inFlight, ...this.queue];
+    }));
+  }
+
+  // Private methods
+  private async doFlush(): Promise<void> {
+    this.reportRateLimitDrops();
+
+    // Hold everything while offline; it goes out on reconnect
+    if (this.queue.length === 0 || !this.online) return;
 
     const items = [...this.queue];
     this.queue = [];
+    items.forEach((item) => this.inFlight.add(item));
+    // Items not attempted this round because their endpoint is backing off
+    const held: QueuedItem[] = [];
+    const failures: Map<QueuedItem, SendFailure> = new Map();
+
+    if (this.batchMode) {
+      await this.sendEnvelopes(items, held, failures);
+    } else {
+      await this.sendPerEndpoint(items, held, failures);
+    }
+
+    // Re-queue held and failed items ahead of anything queued during the flush, keeping original order.
+    // Consent may have been revoked while they were in flight.
+    const unsent = this.dropRevoked(items.filter((item) => held.includes(item) || failures.has(item)));
+    const retries = unsent.flatMap((item) => {
+      if (held.includes(item)) return [item];
+      const failure = failures.get(item)!;
+      const retry = this.handleFailure(item, failure.error, failure.endpoint);
+      return retry ? [retry] : [];
+    });
+    this.queue = [...retries, ...this.queue];
+    items.forEach((item) => this.inFlight.delete(item));
+    this.persistQueue();
+
+    if (this.config.debug) {
+      console.log(`[DevSkin Mobile] Flushed ${items.length - retries.length} items, ${retries.length} pending`);
+    }
+  }
+
+  /**
+   * Send all items in as few requests as possible through the batch endpoint
+   */
+  private async sendEnvelopes(
+    items: QueuedItem[],
+    held: QueuedItem[],
+    failures: Map<QueuedItem, SendFailure>
+  ): Promise<void> {
+    // Most important items go in the first envelope
+    const chunks = splitIntoChunks(sortByPriority(items), this.maxPayloadBytes);
+
+    while (chunks.length > 0) {
+      const chunk = chunks.shift()!;
+
+      if (!this.backoff.canSend(this.batchEndpoint)) {
+        [chunk, ...chunks].forEach((rest) => held.push(...rest.items));
+        return;
+      }
+
+      try {
+        await this.sendToBackend(this.batchEndpoint, {
+          sessionId: this.sessionId,
+          platform: 'mobile',
+          sentAt: new Date().toISOString(),
+          items: chunk.envelopeItems,
+        });
+      } catch (error) {
+        if (this.isBatchUnsupported(error)) {
+          // Nothing was accepted: send this chunk and the rest the legacy way
+          this.disableBatchMode();
+          const remaining = new Set([chunk, ...chunks].flatMap((rest) => rest.items));
+          await this.sendPerEndpoint(items.filter((item) => remaining.has(item)), held, failures);
+          return;
+        }
+
+        if (this.isItemRejection(error)) {
+          if (chunk.items.length > 1) {
+            // Retry as two smaller envelopes until only the offending items are rejected
+            const halves = splitIntoChunks(chunk.items, Math.floor(chunk.sizeBytes / 2));
+            chunks.unshift(...halves);
+          } else {
+            failures.set(chunk.items[0]!, { error, endpoint: this.batchEndpoint });
+          }
+          continue;
+        }
+
+        chunk.items.forEach((item) => failures.set(item, { error, endpoint: this.batchEndpoint }));
+        // Don't push further chunks at an endpoint that is failing
+        chunks.forEach((rest) => held.push(...rest.items));
+        return;
+      }
+    }
+  }
+
+  private isBatchUnsupported(error: unknown): boolean {
+    return error instanceof TransportError && BATCH_UNSUPPORTED_STATUSES.includes(error.status!);
+  }
+
+  // A permanent failure one item can cause (malformed, too large...), as opposed to auth errors
+  private isItemRejection(error: unknown): boolean {
+    return error instanceof TransportError && !error.retryable && !REQUEST_LEVEL_STATUSES.includes(error.status!);
+  }
+
+  // Switch to the per-type endpoints for the rest of this transport's life
+  private disableBatchMode(): void {
+    this.batchMode = false;
+    if (this.config.debug) {
+      console.log(`[DevSkin Mobile] ${this.batchEndpoint} is not available, falling back to per-type endpoints`);
+    }
+  }
+
+  /**
+   * Legacy mode: one request per type (or per item) against the original REST endpoints
+   */
+  private async sendPerEndpoint(
+    items: QueuedItem[],
+    held: QueuedItem[],
+    failures: Map<QueuedItem, SendFailure>
+  ): Promise<void> {
+    // Items with an explicit target (session updates) are replayed individually, in order
+    for (const item of items.filter((i) => i.endpoint)) {
+      if (!this.backoff.canSend(item.endpoint!)) {
+        held.push(item);
+        continue;
+      }
+      try {
+        await this.sendToBackend(item.endpoint!, item.data, item.method);
+      } catch (error) {
+        failures.set(item, { error, endpoint: item.endpoint! });
+      }
+    }
 
     // Group by type for batch sending
-    const grouped: Record<string, any[]> = {};
-    items.forEach((item) => {
+    const grouped: Record<string, QueuedItem[]> = {};
+    items.filter((i) => !i.endpoint).forEach((item) => {
       if (!grouped[item.type]) {
         grouped[item.type] = [];
       }
-      grouped[item.type]!.push(item.data);
+      grouped[item.type]!.push(item);
     });
 
     // Send each type to appropriate endpoint
-    const promises = Object.entries(grouped).map(async ([type, dataArray]) => {
-      const endpoint = this.getEndpointForType(type);
+    const promises = Object.entries(grouped).map(async ([type, group]) => {
+      const dataArray = group.map((item) => item.data);
+      const endpoint = type === 'event' && dataArray.length > 1
+        ? '/v1/rum/events/batch'
+        : this.getEndpointForType(type);
+
+      if (!this.backoff.canSend(endpoint)) {
+        held.push(...group);
+        return;
+      }
 
       try {
         if (type === 'event' && dataArray.length > 1) {
           // Batch events
-          await this.sendToBackend('/v1/rum/events/batch', { events: dataArray });
+          await this.sendToBackend(endpoint, { events: dataArray });
         } else if (type === 'heatmap') {
           // Heatmap batch
           await this.sendToBackend(endpoint, {
@@ -163,53 +694,198 @@ export class MobileTransport {
             apiKey: this.config.apiKey,
             appId: this.config.appId,
           });
-        } else if (type === 'screen') {
-          // Screen views batch
-          for (const data of dataArray) {
-            await this.sendToBackend('/v1/rum/page-views', data);
-          }
         } else {
-          // Send individually
-          for (const data of dataArray) {
-            await this.sendToBackend(endpoint, data);
+          // Send individually, stopping at the first failure
+          for (let index = 0; index < group.length; index++) {
+            try {
+              await this.sendToBackend(endpoint, group[index]!.data);
+            } catch (error) {
+              failures.set(group[index]!, { error, endpoint });
+              held.push(...group.slice(index + 1));
+              break;
+            }
           }
         }
       } catch (error) {
-        // Re-queue failed items
-        dataArray.forEach((data) => {
-          const originalItem = items.find((i) => i.data === data);
-          if (originalItem && originalItem.retryCount < this.maxRetries) {
-            this.queue.push({
-              ...originalItem,
-              retryCount: originalItem.retryCount + 1,
-            });
-          }
-        });
+        group.forEach((item) => failures.set(item, { error, endpoint }));
       }
     });
 
     await Promise.allSettled(promises);
+  }
+
+  /**
+   * Decide whether a failed item is retried or dropped, returns the item to re-queue.
+   * endpoint is where the request actually went (the batch endpoint for envelopes).
+   */
+  private handleFailure(item: QueuedItem, error: unknown, endpoint: string): QueuedItem | null {
+    const transportError = error instanceof TransportError ? error : undefined;
+
+    if (transportError && !transportError.retryable) {
+      this.reportDropped([item], 'rejected', endpoint, transportError.status);
+      return null;
+    }
+
+    // Failures caused by losing connectivity mid-flush don't count as retries
+    if (!this.online) {
+      return item;
+    }
+
+    if (item.retryCount >= this.maxRetries) {
+      this.reportDropped([item], 'max_retries', endpoint, transportError?.status);
+      return null;
+    }
+
+    this.diagnostics.retried++;
+    this.reportDiagnostic({
+      type: 'retry',
+      itemType: item.type,
+      count: 1,
+      reason: transportError?.status !== undefined ? 'http_error' : 'network_error',
+      endpoint,
+      status: transportError?.status,
+      retryInMs: transportError?.retryInMs,
+    });
+
+    return { ...item, retryCount: item.retryCount + 1 };
+  }
+
+  private reportDropped(
+    items: QueuedItem[],
+    reason: TransportDiagnosticEvent['reason'],
+    endpoint?: string,
+    status?: number
+  ): void {
+    const byType: Record<string, number> = {};
+    items.forEach((item) => {
+      byType[item.type] = (byType[item.type] || 0) + 1;
+    });
 
+    Object.entries(byType).forEach(([itemType, count]) => {
+      this.diagnostics.dropped += count;
+      this.diagnostics.droppedByReason[reason] = (this.diagnostics.droppedByReason[reason] || 0) + count;
+      this.reportDiagnostic({ type: 'drop', itemType, count, reason, endpoint, status });
+    });
+  }
+
+  private reportDiagnostic(event: TransportDiagnosticEvent): void {
     if (this.config.debug) {
-      console.log(`[DevSkin Mobile] Flushed ${items.length} items`);
+      console.log(`[DevSkin Mobile] ${event.type === 'drop' ? 'Dropped' : 'Retrying'} ${event.count} ${event.itemType} item(s):`, event.reason);
+    }
+
+    try {
+      this.config.onDiagnostics?.(event);
+    } catch {
+      // Never let a diagnostics callback break delivery
     }
   }
 
-  destroy(): void {
-    if (this.flushInterval) {
-      clearInterval(this.flushInterval);
-      this.flushInterval = null;
+  // Items sent outside the queue still go through the beforeSend hooks
+  private async sendHooked(
+    hookType: BeforeSendItemType,
+    type: QueuedItem['type'],
+    endpoint: string,
+    data: any,
+    method: 'POST' | 'PUT' = 'POST'
+  ): Promise<void> {
+    const sending = applyBeforeSend(this.config, hookType, data).then((processed) =>
+      processed ? this.sendOrPersist(type, endpoint, processed, method) : undefined
+    );
+
+    const settle = () => {
+      this.pendingSends.delete(sending);
+    };
+    this.pendingSends.add(sending);
+    sending.then(settle, settle);
+    await sending;
+  }
+
+  private async sendOrPersist(
+    type: QueuedItem['type'],
+    endpoint: string,
+    data: any,
+    method: 'POST' | 'PUT' = 'POST'
+  ): Promise<void> {
+    const item: QueuedItem = {
+      type,
+      data,
+      timestamp: Date.now(),
+      retryCount: 0,
+      endpoint,
+      method,
+    };
+
+    if (this.online && this.backoff.canSend(endpoint)) {
+      // In flight, so a snapshot taken meanwhile (e.g. by destroy) still persists it
+      this.inFlight.add(item);
+      try {
+        await this.sendToBackend(endpoint, data, method);
+        return;
+      } catch (error) {
+        if (error instanceof TransportError && !error.retryable) {
+          this.reportDropped([item], 'rejected', endpoint, error.status);
+          return;
+        }
+        // Fall through and keep it for later
+      } finally {
+        this.inFlight.delete(item);
+      }
     }
-    this.flush();
+
+    // Keep it on disk and replay once sending works again, unless consent was revoked meanwhile
+    if (this.deniedTypes.has(type)) {
+      this.reportDropped([item], 'consent', endpoint);
+      return;
+    }
+    this.queue.push(item);
+    this.persistQueue(true);
   }
 
-  // Private methods
-  private enqueue(type: QueuedItem['type'], data: any): void {
+  private persistQueue(immediate: boolean = false): Promise<void> {
+    if (!this.store) return Promise.resolve();
+
+    // Apply the size and age caps to the live queue so memory and disk agree.
+    // In-flight items stay on disk until their flush settles.
+    const snapshot = () => {
+      this.queue = this.store!.prune(this.queue);
+      return [...this.inFlight, ...this.queue];
+    };
+
+    if (immediate) {
+      return this.store.save(snapshot());
+    }
+    this.store.scheduleSave(snapshot);
+    return Promise.resolve();
+  }
+
+  private enqueue(type: QueuedItem['type'], rawData: any): void {
+    if (!this.shouldCollect(type)) return;
+
+    // Scope is read now, so withScope() applies to items captured inside its callback
+    const data = SCOPED_TYPES.includes(type) ? applyScope(type, rawData, this.getScope?.() ?? null) : rawData;
+
+    const hookType = this.getBeforeSendType(type);
+    if (!hookType) {
+      this.pushItem(type, data);
+      return;
+    }
+
+    runBeforeSend(this.config, hookType, data, (processed) => {
+      if (processed) {
+        this.pushItem(type, processed);
+      }
+    });
+  }
+
+  private pushItem(type: QueuedItem['type'], data: any): void {
+    if (!this.admit(type, data)) return;
+
     // Add common fields
     const enrichedData = {
       ...data,
       applicationId: this.config.appId,
-      sessionId: this.sessionId || data.sessionId,
+      // Items keep the session they were captured in, even if it rotated since
+      sessionId: data.sessionId || this.sessionId,
       platform: 'mobile',
     };
 
@@ -219,6 +895,16 @@ export class MobileTransport {
       timestamp: Date.now(),
       retryCount: 0,
     });
+    this.enforceQueueLimit();
+
+    // Crash reports can't wait for the debounced write or the next tick
+    if (type === 'error') {
+      this.persistQueue(true);
+      this.flush();
+      return;
+    }
+
+    this.persistQueue();
 
     // Auto-flush if queue is full
     if (this.queue.length >= this.maxQueueSize) {
@@ -226,6 +912,91 @@ export class MobileTransport {
     }
   }
 
+  /**
+   * Replace events dropped by the rate limiter with a single counter event
+   */
+  private reportRateLimitDrops(): void {
+    const dropped = this.rateLimiter.takeDropped();
+    if (!dropped) return;
+
+    if (this.config.debug) {
+      console.log(`[DevSkin Mobile] Rate limited ${dropped.total} events`);
+    }
+
+    this.pushItem('event', {
+      eventName: 'sdk_events_dropped',
+      eventType: 'sdk',
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId || undefined,
+      properties: {
+        dropped_count: dropped.total,
+        dropped_by_reason: dropped.byReason,
+        dropped_by_name: dropped.byName,
+      },
+    });
+  }
+
+  // Remove items whose type the user no longer consents to, reporting them as dropped
+  private dropRevoked(items: QueuedItem[]): QueuedItem[] {
+    const revoked = items.filter((item) => this.deniedTypes.has(item.type));
+    if (revoked.length === 0) return items;
+
+    this.reportDropped(revoked, 'consent');
+    return items.filter((item) => !this.deniedTypes.has(item.type));
+  }
+
+  // Consent first, then the session's sampling decision
+  private shouldCollect(type: QueueItemType): boolean {
+    if (this.deniedTypes.has(type)) return false;
+    return !this.sampling || isTypeSampled(this.sampling, type);
+  }
+
+  /**
+   * Apply the per-type quota, returns false when the incoming item is dropped
+   */
+  private admit(type: QueueItemType, data: any): boolean {
+    const quota = this.quotas[type];
+    const queued = this.queue.filter((item) => item.type === type);
+    if (queued.length < quota.maxItems) return true;
+
+    if (quota.eviction === 'drop-newest') {
+      this.reportDropped([{ type, data, timestamp: Date.now(), retryCount: 0 }], 'quota');
+      return false;
+    }
+
+    const oldest = queued[0]!;
+    this.queue = this.queue.filter((item) => item !== oldest);
+    this.reportDropped([oldest], 'quota');
+    return true;
+  }
+
+  /**
+   * Keep the queue under its overall cap by evicting the lowest-priority items first
+   */
+  private enforceQueueLimit(): void {
+    const excess = this.queue.length - this.maxQueueItems;
+    if (excess <= 0) return;
+
+    const evicted = new Set(evictionOrder(this.queue).slice(0, excess));
+    this.queue = this.queue.filter((item) => !evicted.has(item));
+    this.reportDropped([...evicted], 'evicted');
+  }
+
+  private getBeforeSendType(type: QueuedItem['type']): BeforeSendItemType | null {
+    switch (type) {
+      case 'event':
+      case 'error':
+      case 'network':
+      case 'heatmap':
+      case 'screen':
+      case 'user':
+      case 'consent':
+        return type;
+      default:
+        return null;
+    }
+  }
+
   private startPeriodicFlush(): void {
     this.flushInterval = setInterval(() => {
       this.flush();
@@ -233,15 +1004,44 @@ export class MobileTransport {
   }
 
   private setupNetworkListener(): void {
-    // React Native NetInfo integration would go here
-    // For now, assume always online
-    // In real implementation, use @react-native-community/netinfo
+    const connectivity = this.config.connectivity || createNetInfoConnectivity();
+    if (!connectivity) {
+      // No reachability source installed, assume always online
+      return;
+    }
+
+    connectivity
+      .fetch()
+      .then((isOnline) => this.setOnline(isOnline))
+      .catch(() => {
+        // Keep the optimistic default
+      });
+
+    this.unsubscribeConnectivity = connectivity.subscribe((isOnline) => this.setOnline(isOnline));
+  }
+
+  private setOnline(isOnline: boolean): void {
+    if (this.online === isOnline) return;
+    this.online = isOnline;
+
+    if (this.config.debug) {
+      console.log(`[DevSkin Mobile] Network ${isOnline ? 'online' : 'offline'}`);
+    }
+
+    this.connectivityListeners.forEach((listener) => listener(isOnline));
+
+    // Drain everything held while offline
+    if (isOnline) {
+      this.flush();
+    }
   }
 
   private getEndpointForType(type: string): string {
     switch (type) {
       case 'event':
         return '/v1/rum/events';
+      case 'session':
+        return '/v1/rum/sessions';
       case 'error':
         return '/v1/errors/errors';
       case 'network':
@@ -252,11 +1052,86 @@ export class MobileTransport {
         return '/v1/sdk/heatmap';
       case 'screen':
         return '/v1/rum/page-views';
+      case 'recording':
+        return '/v1/rum/recordings';
+      case 'user':
+        return '/v1/analytics/user-properties';
+      case 'consent':
+        return '/v1/privacy/consent';
       default:
         return '/v1/rum/events';
     }
   }
 
+  /**
+   * Sample server time from a lightweight endpoint.
+   * Uses a JSON body of { now: <epoch ms> } when present, else the Date header.
+   */
+  private async syncClock(endpoint: string): Promise<void> {
+    const requestStartedAt = Date.now();
+
+    try {
+      const response = await this.adapter.send({
+        url: `${this.apiUrl}${endpoint}`,
+        endpoint,
+        method: 'GET',
+        headers: {
+          'X-API-Key': this.config.apiKey,
+          'X-App-Id': this.config.appId,
+          'X-Platform': 'mobile',
+        },
+        payload: null,
+      });
+      const responseReceivedAt = Date.now();
+
+      let serverTime: number | undefined;
+      try {
+        const parsed = response.body ? JSON.parse(response.body) : null;
+        serverTime = typeof parsed?.now === 'number' ? parsed.now : undefined;
+      } catch {
+        // Not JSON, fall back to the header
+      }
+
+      if (serverTime !== undefined) {
+        this.clock.update(serverTime, requestStartedAt, responseReceivedAt);
+      } else {
+        this.clock.updateFromDateHeader(response.headers?.['date'], requestStartedAt, responseReceivedAt);
+      }
+
+      if (this.config.debug) {
+        console.log('[DevSkin Mobile] Clock offset:', this.clock.getOffset() ?? 0, 'ms');
+      }
+    } catch (error) {
+      if (this.config.debug) {
+        console.error('[DevSkin Mobile] Failed to sync clock:', error);
+      }
+    }
+  }
+
+  /**
+   * Compress the body when it crosses the threshold and actually gets smaller
+   */
+  private encodeBody(json: string, headers: Record<string, string>): string | Uint8Array {
+    if (!this.compression || json.length < this.compressionThreshold) {
+      return json;
+    }
+
+    try {
+      const compressed = compress(json, this.compression);
+      if (compressed.length >= json.length) {
+        return json;
+      }
+
+      headers['Content-Encoding'] = this.compression;
+      if (this.config.debug) {
+        console.log(`[DevSkin Mobile] Compressed payload ${json.length} -> ${compressed.length} bytes`);
+      }
+      return compressed;
+    } catch {
+      return json;
+    }
+  }
+
   private async sendToBackend(
     endpoint: string,
     data: any,
@@ -264,8 +1139,9 @@ export class MobileTransport {
   ): Promise<void> {
     const url = `${this.apiUrl}${endpoint}`;
 
+    // Device clocks can be off by hours; shift timestamps to server time, keeping the originals
     const payload = {
-      ...data,
+      ...this.clock.correct(data),
       apiKey: this.config.apiKey,
       applicationId: this.config.appId,
       environment: this.config.environment,
@@ -273,39 +1149,68 @@ export class MobileTransport {
       appVersion: this.config.appVersion,
     };
 
-    // Apply beforeSend hook
-    if (this.config.beforeSend) {
-      const processed = this.config.beforeSend(payload);
-      if (!processed) {
-        return; // Hook returned null, don't send
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      'X-API-Key': this.config.apiKey,
+      'X-App-Id': this.config.appId,
+      'X-Platform': 'mobile',
+    };
+    const body = this.encodeBody(JSON.stringify(payload), headers);
+
+    let response: TransportResponse;
+    const requestStartedAt = Date.now();
+    try {
+      response = await this.adapter.send({ url, endpoint, method, headers, body, payload });
+    } catch (error) {
+      // No response at all: connection dropped, DNS failure, timeout...
+      const networkError = new TransportError(error instanceof Error ? error.message : 'Network request failed');
+      networkError.retryInMs = this.backoff.recordFailure(endpoint);
+      if (this.config.debug) {
+        console.error(`[DevSkin Mobile] Failed to send to ${endpoint}:`, error);
       }
+      throw networkError;
     }
 
-    try {
-      const response = await fetch(url, {
-        method,
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.config.apiKey,
-          'X-App-Id': this.config.appId,
-          'X-Platform': 'mobile',
-        },
-        body: JSON.stringify(payload),
-      });
+    if (this.clockSyncEnabled) {
+      this.clock.updateFromDateHeader(response.headers?.['date'], requestStartedAt, Date.now());
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
-      }
+    if (response.status < 200 || response.status >= 300) {
+      const error = new TransportError(
+        `HTTP ${response.status}: ${response.body || ''}`,
+        response.status,
+        parseRetryAfter(response.headers?.['retry-after'])
+      );
 
-      if (this.config.debug) {
-        console.log(`[DevSkin Mobile] Sent to ${endpoint}:`, response.status);
+      if (error.retryable) {
+        error.retryInMs = this.backoff.recordFailure(endpoint, error.retryAfterMs);
+        if (this.config.debug) {
+          console.log(`[DevSkin Mobile] Backing off ${endpoint} for ${error.retryInMs}ms`);
+        }
       }
-    } catch (error) {
+
       if (this.config.debug) {
         console.error(`[DevSkin Mobile] Failed to send to ${endpoint}:`, error);
       }
       throw error;
     }
+
+    this.backoff.recordSuccess(endpoint);
+
+    if (this.config.debug) {
+      console.log(`[DevSkin Mobile] Sent to ${endpoint}:`, response.status);
+    }
   }
 }
+
+// Settles with the promise or after ms, whichever comes first
+function withTimeout(promise: Promise<unknown>, ms: number): Promise<void> {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    promise.then(done, done);
+  });
+}
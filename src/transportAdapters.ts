@@ -0,0 +1,120 @@
+/**
+ * DevSkin Mobile SDK Transport Adapters
+ * Delivery backends for MobileTransport: fetch (default), in-memory and console/NDJSON
+ */
+
+export interface TransportRequest {
+  url: string;
+  endpoint: string;
+  method: 'GET' | 'POST' | 'PUT';
+  headers: Record<string, string>;
+  // Serialized (and possibly compressed) body, as it would go over the wire
+  body?: string | Uint8Array;
+  // The uncompressed payload object
+  payload: any;
+}
+
+export interface TransportResponse {
+  status: number;
+  // Header names in lower case
+  headers?: Record<string, string>;
+  body?: string;
+}
+
+export interface TransportAdapter {
+  send(request: TransportRequest): Promise<TransportResponse>;
+}
+
+/**
+ * Default adapter: HTTP through the global fetch
+ */
+export class FetchTransportAdapter implements TransportAdapter {
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    const response = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+    });
+
+    const headers: Record<string, string> = {};
+    response.headers.forEach((value: string, key: string) => {
+      headers[key.toLowerCase()] = value;
+    });
+
+    return {
+      status: response.status,
+      headers,
+      body: await response.text().catch(() => ''),
+    };
+  }
+}
+
+/**
+ * Keeps every request in memory - for tests and running the SDK without a backend
+ *
+ * @example
+ * const sink = new MemoryTransportAdapter();
+ * await DevSkin.init({ apiKey: 'test', appId: 'test', transportAdapter: sink });
+ * DevSkin.track('signup');
+ * await DevSkin.flush();
+ * expect(sink.getItems('event')).toHaveLength(1);
+ */
+export class MemoryTransportAdapter implements TransportAdapter {
+  readonly requests: TransportRequest[] = [];
+  private responder: (request: TransportRequest) => TransportResponse | Promise<TransportResponse> =
+    () => ({ status: 200 });
+
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    this.requests.push(request);
+    return this.responder(request);
+  }
+
+  /**
+   * Set the response for subsequent requests (e.g. a 503 to exercise retries)
+   */
+  respondWith(
+    response: TransportResponse | ((request: TransportRequest) => TransportResponse | Promise<TransportResponse>)
+  ): void {
+    this.responder = typeof response === 'function' ? response : () => response;
+  }
+
+  /**
+   * Data of every item sent, unpacking batch envelopes, optionally filtered by type
+   */
+  getItems(type?: string): any[] {
+    return this.requests.flatMap((request) => unpackItems(request)
+      .filter((item) => !type || item.type === type)
+      .map((item) => item.data));
+  }
+
+  clear(): void {
+    this.requests.length = 0;
+  }
+}
+
+/**
+ * Writes one JSON line per item (NDJSON) instead of sending - for local debugging
+ */
+export class ConsoleTransportAdapter implements TransportAdapter {
+  constructor(private write: (line: string) => void = (line) => console.log(line)) {}
+
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    unpackItems(request).forEach((item) => {
+      this.write(JSON.stringify({
+        endpoint: request.endpoint,
+        method: request.method,
+        type: item.type,
+        data: item.data,
+      }));
+    });
+    return { status: 200 };
+  }
+}
+
+// Batch envelopes carry typed items; legacy requests are a single item of unknown type
+function unpackItems(request: TransportRequest): Array<{ type?: string; data: any }> {
+  if (Array.isArray(request.payload?.items)) {
+    return request.payload.items;
+  }
+  return [{ data: request.payload }];
+}
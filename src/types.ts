@@ -3,18 +3,31 @@
  * Mirrors browser SDK types for compatibility
  */
 
+import { StorageAdapter } from './storage';
+import { ConnectivityAdapter } from './connectivity';
+import { TransportAdapter } from './transportAdapters';
+import type { EventSchemas, SchemaViolation } from './eventSchema';
+
 export interface DevSkinMobileConfig {
   apiKey: string;
   appId: string;
+  // Keeps the stored queue and state of instances that share an appId apart
+  instanceName?: string;
   apiUrl?: string;
   debug?: boolean;
 
+  // Sampling, decided once per session from the session ID
+  sessionSampleRate?: number; // 0-1, default 1
+  replaySampleRate?: number; // 0-1 of sampled sessions, default 1
+  errorSampleRate?: number; // 0-1, default 1, independent of sessionSampleRate
+
   // Session Tracking
   sessionTracking?: {
     enabled?: boolean;
     trackScreenViews?: boolean;
     trackUserInteractions?: boolean;
     sessionTimeout?: number; // in milliseconds
+    summaryInterval?: number; // in milliseconds, default 60000
   };
 
   // Crash Reporting
@@ -40,7 +53,7 @@ export interface DevSkinMobileConfig {
     trackTouches?: boolean;
     trackScrolls?: boolean;
     trackGestures?: boolean;
-    touchSampling?: number; // 0-1, default 1 (100%)
+    touchSampling?: number; // 0-1 of sampled sessions, default 1 (100%)
   };
 
   // Screenshot Capture
@@ -71,6 +84,14 @@ export interface DevSkinMobileConfig {
     enabled?: boolean;
     trackUserProperties?: boolean;
     autoTrackScreens?: boolean;
+    flowTimeout?: number; // in milliseconds of inactivity, default 10 minutes
+  };
+
+  // Event schemas checked by track(); violations are logged in debug/development
+  eventSchemas?: {
+    schemas?: EventSchemas;
+    onViolation?: 'tag' | 'drop' | 'none'; // default 'tag' (adds schema_violation to the event)
+    onSchemaViolation?: (violations: SchemaViolation[]) => void;
   };
 
   // Privacy
@@ -78,16 +99,157 @@ export interface DevSkinMobileConfig {
     respectDoNotTrack?: boolean;
     maskSensitiveData?: boolean;
     allowedDataTypes?: ('device' | 'location' | 'network' | 'crashes')[];
+    // Consent until setConsent() is called; persisted consent takes precedence
+    defaultConsent?: Partial<ConsentState>;
+  };
+
+  // Persistent storage (defaults to AsyncStorage when installed, else in-memory)
+  storage?: StorageAdapter;
+
+  // Offline Queue
+  offlineQueue?: {
+    enabled?: boolean;
+    maxSizeBytes?: number; // default 1MB
+    maxAgeMs?: number; // default 24 hours
   };
 
+  // Transport
+  transportOptions?: {
+    mode?: 'batch' | 'legacy'; // default 'batch' (falls back to 'legacy' if the batch endpoint is missing); 'legacy' posts to per-type endpoints
+    batchEndpoint?: string; // default '/v1/sdk/batch'
+    maxPayloadBytes?: number; // default 256KB, larger batches are split
+    compression?: 'gzip' | 'deflate' | 'none'; // default 'none'
+    compressionThreshold?: number; // in bytes, default 1024
+    maxQueueItems?: number; // default 1000, lowest-priority items are evicted first
+    queueQuotas?: Partial<Record<QueueItemType, QueueQuota>>;
+    maxRetries?: number; // default 3
+    retryBaseDelayMs?: number; // default 1000
+    retryMaxDelayMs?: number; // default 5 minutes
+  };
+
+  // Client-side rate limits (dropped items are reported as an 'sdk_events_dropped' event)
+  rateLimits?: {
+    enabled?: boolean;
+    eventsPerSecond?: number; // per event name, default 10
+    eventBurst?: number; // default 50
+    errorsPerMinute?: number; // per error fingerprint, default 10
+    errorBurst?: number; // default 10
+    sessionEventsPerSecond?: number; // all events and errors together, default 50
+    sessionBurst?: number; // default 200
+    maxEventsPerSession?: number; // default 10000
+  };
+
+  // Clock-skew correction: outgoing timestamps are shifted to server time
+  clockSync?: {
+    enabled?: boolean; // default true, uses response Date headers
+    timeEndpoint?: string; // optional GET endpoint returning { now: <epoch ms> }
+  };
+
+  // Delivery backend (defaults to HTTP via fetch)
+  transportAdapter?: TransportAdapter;
+
+  // Reachability source (defaults to @react-native-community/netinfo when installed)
+  connectivity?: ConnectivityAdapter;
+
   // Environment
   environment?: 'development' | 'staging' | 'production';
   release?: string;
   appVersion?: string;
 
   // Callbacks
-  beforeSend?: (event: any) => any | null;
+  // Return a (possibly modified) item to send it, or null to drop it. Hooks may be async.
+  beforeSend?: (item: any, hint: BeforeSendHint) => any | null | Promise<any | null>;
+  beforeSendEvent?: BeforeSendHook<EventData>;
+  beforeSendError?: BeforeSendHook<CrashData>;
+  beforeSendNetwork?: BeforeSendHook<NetworkRequest>;
+  beforeSendHeatmap?: BeforeSendHook<TouchData | ScrollData>;
+  beforeSendRecording?: BeforeSendHook<any>;
+  beforeSendScreen?: BeforeSendHook<ScreenViewData>;
+  beforeSendUser?: BeforeSendHook<UserData | UserPropertiesData>;
+  beforeSendSession?: BeforeSendHook<Partial<SessionData>>;
   onError?: (error: Error) => void;
+  onDiagnostics?: (event: TransportDiagnosticEvent) => void;
+  onSessionStart?: (session: SessionData) => void;
+  onSessionEnd?: (session: SessionData) => void;
+}
+
+// Transport queue
+export type QueueItemType =
+  | 'event'
+  | 'session'
+  | 'error'
+  | 'network'
+  | 'performance'
+  | 'heatmap'
+  | 'screen'
+  | 'recording'
+  | 'user'
+  | 'consent';
+
+export interface QueueQuota {
+  maxItems?: number;
+  // What to drop when the quota is full: the oldest queued item or the incoming one
+  eviction?: 'drop-oldest' | 'drop-newest';
+}
+
+// beforeSend hooks
+export type BeforeSendItemType =
+  | 'event'
+  | 'error'
+  | 'network'
+  | 'heatmap'
+  | 'recording'
+  | 'screen'
+  // identify() traits and user property operations
+  | 'user'
+  | 'group'
+  | 'alias'
+  // Session start, summary updates and end
+  | 'session'
+  | 'consent'
+  | 'screenshot';
+
+export interface BeforeSendHint {
+  type: BeforeSendItemType;
+}
+
+export type BeforeSendHook<T> = (item: T) => T | null | Promise<T | null>;
+
+// Transport delivery diagnostics
+export interface TransportDiagnosticEvent {
+  type: 'retry' | 'drop';
+  itemType: string;
+  count: number;
+  reason:
+    | 'http_error'
+    | 'network_error'
+    | 'rejected'
+    | 'max_retries'
+    | 'expired'
+    | 'storage_full'
+    | 'quota'
+    | 'evicted'
+    | 'consent';
+  endpoint?: string;
+  status?: number;
+  retryInMs?: number;
+}
+
+export interface SamplingDecision {
+  sessionSampleRate: number;
+  replaySampleRate: number;
+  errorSampleRate: number;
+  heatmapSampleRate: number;
+  sampled: boolean;
+  replaySampled: boolean;
+  errorSampled: boolean;
+  heatmapSampled: boolean;
+}
+
+export interface TransportDiagnostics {
+  retried: number;
+  dropped: number;
+  droppedByReason: Record<string, number>;
 }
 
 export interface EventData {
@@ -100,6 +262,11 @@ export interface EventData {
   properties?: Record<string, any>;
   screenName?: string;
   screenClass?: string;
+  // groupType -> groupId
+  groups?: Record<string, string>;
+  tags?: Record<string, string>;
+  extra?: Record<string, any>;
+  contexts?: Record<string, Record<string, any>>;
 }
 
 export interface UserData {
@@ -110,16 +277,85 @@ export interface UserData {
   timestamp: string;
 }
 
+export type ConsentCategory = 'analytics' | 'crashes' | 'performance' | 'replay' | 'heatmaps' | 'network';
+
+export type ConsentState = Record<ConsentCategory, boolean>;
+
+// Audit trail entry sent whenever consent changes
+export interface ConsentRecord {
+  consent: ConsentState;
+  changed: ConsentCategory[];
+  source: 'default' | 'user';
+  userId?: string;
+  anonymousId?: string;
+  sessionId?: string;
+  timestamp: string;
+}
+
+export interface UserPropertyOperation {
+  op: 'set' | 'setOnce' | 'increment' | 'append' | 'union' | 'unset';
+  key: string;
+  value?: any;
+}
+
+export interface UserPropertiesData {
+  // Anonymous users are matched by anonymousId until identified
+  userId?: string;
+  anonymousId?: string;
+  sessionId?: string;
+  operations: UserPropertyOperation[];
+  timestamp: string;
+}
+
+export interface GroupData {
+  groupType: string;
+  groupId: string;
+  traits?: Record<string, any>;
+  userId?: string;
+  anonymousId?: string;
+  sessionId?: string;
+  timestamp: string;
+}
+
+export interface AliasData {
+  userId: string;
+  previousId: string;
+  anonymousId?: string;
+  sessionId?: string;
+  timestamp: string;
+}
+
+export interface RevenueData {
+  price: number; // unit price, always positive (use isRefund for refunds)
+  currency: string; // ISO 4217 code, e.g. 'USD'
+  quantity?: number; // default 1
+  productId?: string;
+  store?: 'app_store' | 'play_store' | 'amazon' | 'web' | (string & {});
+  transactionId?: string; // used to drop duplicates
+  isRefund?: boolean;
+  revenueType?: string; // e.g. 'subscription', 'consumable'
+  properties?: Record<string, any>;
+}
+
 export interface SessionData {
   sessionId: string;
   userId?: string;
   anonymousId?: string;
   startedAt: string;
   endedAt?: string;
+  status?: 'active' | 'paused' | 'ended';
+  pausedAt?: string;
   durationMs?: number;
   screenViewCount?: number;
   eventCount?: number;
   errorCount?: number;
+  foregroundMs?: number;
+  crashed?: boolean;
+  hadAnr?: boolean;
+  purchaseCount?: number;
+  // Net revenue (purchases minus refunds) per currency
+  revenue?: Record<string, number>;
+  sampling?: SamplingDecision;
   platform: 'ios' | 'android' | 'react-native' | 'flutter';
   device?: MobileDeviceInfo;
   app?: AppInfo;
@@ -208,6 +444,9 @@ export interface NetworkRequest {
   errorMessage?: string;
   timestamp: string;
   initiator?: 'fetch' | 'axios' | 'xhr' | 'native';
+  tags?: Record<string, string>;
+  extra?: Record<string, any>;
+  contexts?: Record<string, Record<string, any>>;
 }
 
 // Error/Crash Data
@@ -221,6 +460,7 @@ export interface CrashData {
   screenName?: string;
   breadcrumbs?: Breadcrumb[];
   context?: Record<string, any>;
+  tags?: Record<string, string>;
   device?: MobileDeviceInfo;
   app?: AppInfo;
   isFatal?: boolean;
@@ -0,0 +1,117 @@
+/**
+ * DevSkin Mobile SDK User Properties
+ * Property operations (set, setOnce, increment, append, union, unset) for the current user,
+ * identified or anonymous
+ */
+
+import { UserPropertyOperation } from './types';
+
+export class UserProperties {
+  constructor(private onOperation: (operation: UserPropertyOperation) => void) {}
+
+  /**
+   * Set one property, or several from an object
+   */
+  set(key: string | Record<string, any>, value?: any): this {
+    return this.addEach('set', key, value);
+  }
+
+  /**
+   * Set a property only if it has no value yet (e.g. first seen date)
+   */
+  setOnce(key: string | Record<string, any>, value?: any): this {
+    return this.addEach('setOnce', key, value);
+  }
+
+  /**
+   * Add to a numeric property (a missing property counts as 0)
+   */
+  increment(key: string, by: number = 1): this {
+    if (typeof by !== 'number' || !isFinite(by)) return this;
+    return this.add({ op: 'increment', key, value: by });
+  }
+
+  /**
+   * Append a value to a list property
+   */
+  append(key: string, value: any): this {
+    return this.add({ op: 'append', key, value });
+  }
+
+  /**
+   * Add values to a list property, skipping ones already present
+   */
+  union(key: string, values: any[]): this {
+    return this.add({ op: 'union', key, value: values });
+  }
+
+  /**
+   * Remove a property
+   */
+  unset(key: string): this {
+    return this.add({ op: 'unset', key });
+  }
+
+  // Private methods
+  private addEach(op: 'set' | 'setOnce', key: string | Record<string, any>, value: any): this {
+    if (typeof key === 'string') {
+      return this.add({ op, key, value });
+    }
+    Object.keys(key).forEach((name) => this.add({ op, key: name, value: key[name] }));
+    return this;
+  }
+
+  private add(operation: UserPropertyOperation): this {
+    this.onOperation(operation);
+    return this;
+  }
+}
+
+/**
+ * Apply operations to a local copy of the user's properties, mirroring what the backend does
+ */
+export function applyUserOperations(
+  traits: Record<string, any>,
+  operations: UserPropertyOperation[]
+): Record<string, any> {
+  const result = { ...traits };
+
+  operations.forEach(({ op, key, value }) => {
+    const current = result[key];
+
+    switch (op) {
+      case 'set':
+        result[key] = value;
+        break;
+      case 'setOnce':
+        if (current === undefined) {
+          result[key] = value;
+        }
+        break;
+      case 'increment':
+        result[key] = (typeof current === 'number' ? current : 0) + value;
+        break;
+      case 'append':
+        result[key] = [...toArray(current), value];
+        break;
+      case 'union': {
+        const list = toArray(current);
+        (value as any[]).forEach((entry) => {
+          if (!list.includes(entry)) list.push(entry);
+        });
+        result[key] = list;
+        break;
+      }
+      case 'unset':
+        delete result[key];
+        break;
+    }
+  });
+
+  return result;
+}
+
+function toArray(value: any): any[] {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? [...value] : [value];
+}